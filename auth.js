@@ -0,0 +1,318 @@
+'use strict';
+
+// Sign in with GitHub through the OAuth device flow, loaded by the background
+// service worker. The popup asks for a user code, the user enters it on
+// GitHub, and the worker polls until GitHub hands over a token.
+//
+// The token is encrypted at rest: storage only holds AES-GCM ciphertext
+// (`oauthToken`), under a non-extractable key kept in IndexedDB.
+// `oauthAccount` holds what the popup and options page show: the login,
+// the expiry and whether the sign-in is still valid. The signed-in token is
+// used for github.com; a pasted personal access token is the fallback, and
+// the only option on Enterprise hosts.
+//
+// Both endpoints live under `oauthSettings.baseUrl` (https://github.com by
+// default), so a local server answering /login/device/code and
+// /login/oauth/access_token is enough to try the flow without GitHub.
+
+const OAUTH_DEFAULTS = {
+  baseUrl: 'https://github.com',
+  // Client ID of an OAuth app with device flow enabled, set on the options page
+  clientId: '',
+};
+const OAUTH_SCOPES = ''; // Public profile names need no scope
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEVICE_FLOW_ALARM = 'pollDeviceFlow';
+const TOKEN_KEY_DATABASE = 'github-real-names';
+const TOKEN_KEY_STORE = 'keys';
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000; // Stop using a token a minute before it expires
+
+// Sign-in in progress: { status, deviceCode, userCode, verificationUri, expiresAt, interval, error }
+// Kept in session storage so polling survives the worker being suspended
+let deviceFlow = null;
+let devicePolling = false;
+// Decrypted { accessToken, expiresAt }, null when signed out, undefined until loaded
+let oauthToken = undefined;
+
+async function getOAuthSettings() {
+  const { oauthSettings = {} } = await chrome.storage.local.get('oauthSettings');
+  return { ...OAUTH_DEFAULTS, ...oauthSettings };
+}
+
+// Device flow endpoints take a form and answer JSON when asked to. Pending
+// and failed sign-ins are reported in the body with a 200 status.
+async function postOAuthForm(url, params) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params),
+  });
+  
+  if (!response.ok) {
+    throw new Error(`${url} answered HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function keyStoreRequest(database, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(TOKEN_KEY_STORE, mode).objectStore(TOKEN_KEY_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openKeyDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(TOKEN_KEY_DATABASE, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(TOKEN_KEY_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// The key tokens are encrypted with, created on first use. It is
+// non-extractable: it can encrypt and decrypt, but never be read back out.
+async function getTokenKey() {
+  const database = await openKeyDatabase();
+  
+  try {
+    let key = await keyStoreRequest(database, 'readonly', store => store.get('oauth'));
+    if (!key) {
+      key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await keyStoreRequest(database, 'readwrite', store => store.put(key, 'oauth'));
+    }
+    return key;
+  } finally {
+    database.close();
+  }
+}
+
+async function encryptToken(token) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(token));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getTokenKey(), plaintext);
+  
+  return { iv: toBase64(iv), data: toBase64(ciphertext) };
+}
+
+async function decryptToken(stored) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(stored.iv) },
+    await getTokenKey(),
+    fromBase64(stored.data)
+  );
+  
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+// The signed-in access token, or null. Expired tokens sign the user out:
+// refreshing one needs the app's client secret, which an extension cannot keep.
+async function getOAuthToken() {
+  if (oauthToken === undefined) {
+    const { oauthToken: stored } = await chrome.storage.local.get('oauthToken');
+    // A token whose key is gone (site data cleared) cannot be read anymore
+    oauthToken = stored ? await decryptToken(stored).catch(() => null) : null;
+  }
+  
+  if (oauthToken?.expiresAt && Date.now() > oauthToken.expiresAt - TOKEN_EXPIRY_MARGIN_MS) {
+    console.warn('[GitHub Real Names] GitHub sign-in expired');
+    await signOut('expired');
+    return null;
+  }
+  
+  return oauthToken?.accessToken || null;
+}
+
+// Host profile with the token lookups should use: on github.com the signed-in
+// token, else the personal access token
+async function getApiProfile(host = DEFAULT_HOST) {
+  const profile = await getHostProfile(host);
+  if (profile && host === DEFAULT_HOST) {
+    const token = await getOAuthToken();
+    if (token) {
+      profile.token = token;
+      profile.oauth = true;
+    }
+  }
+  return profile;
+}
+
+async function loadDeviceFlow() {
+  if (!deviceFlow) {
+    const { deviceFlow: stored = null } = await chrome.storage.session.get('deviceFlow');
+    deviceFlow = deviceFlow || stored;
+  }
+  return deviceFlow;
+}
+
+async function saveDeviceFlow(flow) {
+  deviceFlow = flow;
+  await chrome.storage.session.set({ deviceFlow: flow });
+}
+
+// What the popup shows: the sign-in in progress (without its device code)
+// and the signed-in account
+async function getSignInStatus() {
+  const flow = await loadDeviceFlow();
+  const { oauthAccount = null } = await chrome.storage.local.get('oauthAccount');
+  
+  return {
+    flow: flow && {
+      status: flow.status,
+      userCode: flow.userCode,
+      verificationUri: flow.verificationUri,
+      expiresAt: flow.expiresAt,
+      error: flow.error,
+    },
+    account: oauthAccount,
+  };
+}
+
+// Ask GitHub for a user code and start polling for the token
+async function startSignIn() {
+  const settings = await getOAuthSettings();
+  if (!settings.clientId) {
+    throw new Error('Sign-in needs an OAuth app client ID, set on the options page.');
+  }
+  
+  const data = await postOAuthForm(`${settings.baseUrl}/login/device/code`, {
+    client_id: settings.clientId,
+    scope: OAUTH_SCOPES,
+  });
+  if (data.error) {
+    throw new Error(data.error_description || data.error);
+  }
+  
+  await saveDeviceFlow({
+    status: 'pending',
+    deviceCode: data.device_code,
+    userCode: data.user_code,
+    verificationUri: data.verification_uri,
+    expiresAt: Date.now() + data.expires_in * 1000,
+    interval: data.interval || 5,
+    error: null,
+  });
+  
+  // The popup closes while the user enters the code; the alarm wakes the
+  // worker to keep polling if it was suspended meanwhile
+  chrome.alarms.create(DEVICE_FLOW_ALARM, { periodInMinutes: 0.5 });
+  pollDeviceFlow();
+  
+  return getSignInStatus();
+}
+
+async function finishDeviceFlow(result) {
+  await saveDeviceFlow({ ...deviceFlow, ...result, deviceCode: null });
+  await chrome.alarms.clear(DEVICE_FLOW_ALARM);
+}
+
+// Poll at the interval GitHub asks for, until the user enters the code,
+// denies access or lets the code expire
+async function pollDeviceFlow() {
+  if (devicePolling) return;
+  devicePolling = true;
+  
+  try {
+    const settings = await getOAuthSettings();
+    let flow = await loadDeviceFlow();
+    
+    while (flow?.status === 'pending') {
+      if (Date.now() > flow.expiresAt) {
+        await finishDeviceFlow({ status: 'failed', error: 'The code expired before it was entered.' });
+        break;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, flow.interval * 1000));
+      
+      const data = await postOAuthForm(`${settings.baseUrl}/login/oauth/access_token`, {
+        client_id: settings.clientId,
+        device_code: flow.deviceCode,
+        grant_type: DEVICE_GRANT_TYPE,
+      });
+      
+      // Signed out (cancelled) while waiting
+      if (deviceFlow?.deviceCode !== flow.deviceCode) break;
+      
+      if (data.access_token) {
+        await saveOAuthToken(data);
+        await finishDeviceFlow({ status: 'signed-in' });
+      } else if (data.error === 'slow_down') {
+        await saveDeviceFlow({ ...flow, interval: data.interval || flow.interval + 5 });
+      } else if (data.error !== 'authorization_pending') {
+        // access_denied, expired_token and configuration errors
+        await finishDeviceFlow({ status: 'failed', error: data.error_description || data.error });
+      }
+      
+      flow = await loadDeviceFlow();
+    }
+  } catch (error) {
+    console.error('[GitHub Real Names] Error signing in:', error);
+    if (deviceFlow?.status === 'pending') {
+      await finishDeviceFlow({ status: 'failed', error: error.message });
+    }
+  } finally {
+    devicePolling = false;
+  }
+}
+
+// Store the new token and the account it belongs to, then fetch names again
+// with the signed-in rate limit
+async function saveOAuthToken(data) {
+  const token = {
+    accessToken: data.access_token,
+    // Only tokens of GitHub Apps with expiration turned on expire
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+  };
+  
+  let login = null;
+  try {
+    const { apiUrl } = await getHostProfile();
+    const response = await fetch(`${apiUrl}/user`, { headers: buildHeaders(token.accessToken) });
+    if (response.ok) login = (await response.json()).login;
+  } catch (error) {
+    // The account name is only for display
+  }
+  
+  await chrome.storage.local.set({
+    oauthToken: await encryptToken(token),
+    oauthAccount: { login, expiresAt: token.expiresAt, scopes: data.scope || '', status: 'signed-in' },
+  });
+  oauthToken = token;
+  
+  await retryWithNewToken();
+  
+  console.log(`[GitHub Real Names] Signed in to GitHub${login ? ` as ${login}` : ''}`);
+}
+
+// Forget the token and cancel a sign-in in progress. 'expired' and 'revoked'
+// keep the account, so the popup can say why signing in again is needed.
+async function signOut(reason = null) {
+  oauthToken = null;
+  await saveDeviceFlow(null);
+  await chrome.alarms.clear(DEVICE_FLOW_ALARM);
+  
+  const { oauthAccount } = await chrome.storage.local.get('oauthAccount');
+  await chrome.storage.local.remove(['oauthToken', 'rateLimitData']);
+  
+  if (reason && oauthAccount) {
+    await chrome.storage.local.set({ oauthAccount: { ...oauthAccount, status: reason } });
+  } else {
+    await chrome.storage.local.remove('oauthAccount');
+  }
+}
+
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === DEVICE_FLOW_ALARM) {
+    pollDeviceFlow();
+  }
+});
@@ -1,9 +1,48 @@
 'use strict';
 
 // Background service worker for GitHub Real Names extension
-// Handles installation and updates
+// Handles installation and updates, and owns the name resolver shared by
+// every GitHub tab: one cache, one set of in-flight requests.
+
+importScripts('hosts.js', 'cache.js', 'auth.js', 'directory.js');
+
+// Constants
+const GRAPHQL_BATCH_SIZE = 50; // Aliased user lookups per GraphQL query
+const GRAPHQL_BATCH_DELAY = 50; // Window for collecting lookups into one query
+const MAX_CONCURRENT_REQUESTS = 4; // API requests on the wire at once
+const RATE_LIMIT_RESERVE = 3; // Pause lookups when this few requests remain
+
+// Transient failures (rate limits, 5xx, network) are retried, never cached
+const RETRY_BASE_DELAY_MS = 30 * 1000; // First retry after 30 seconds
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000; // Back off to at most an hour
+const RETRY_ALARM = 'retryFailedLookups';
+
+// State management
+// Lookups queued or on the wire: username (or commit/org/team key) -> Promise
+// (keys of Enterprise hosts carry their host, see hostKey)
+const inFlightRequests = new Map();
+// Lookups waiting for a request slot: key -> { priority, resolve, etag, fetch, fallback, host }
+const lookupQueue = new Map();
+let activeRequests = 0;
+let drainTimer = null;
+// Last rate limit headers seen per host; github.com's is mirrored from storage
+const rateLimitStates = new Map();
+// Lookups waiting for a retry: username -> { attempts, retryAt }
+// Kept in session storage so retries survive the worker being suspended
+let failedLookups = null;
+// Refresh started from the popup: its mode, lookups to do and lookups done
+let refreshProgress = { mode: null, total: 0, done: 0 };
 
 chrome.runtime.onInstalled.addListener((details) => {
+  // Context menu entry for editing a login's display name
+  chrome.contextMenus.create({
+    id: 'editNameOverride',
+    title: 'Set display name…',
+    contexts: ['all'],
+    documentUrlPatterns: ['https://github.com/*'],
+  });
+  updateHostPatterns();
+  
   if (details.reason === 'install') {
     console.log('[GitHub Real Names] Extension installed');
     
@@ -13,6 +52,950 @@ chrome.runtime.onInstalled.addListener((details) => {
     });
   } else if (details.reason === 'update') {
     console.log('[GitHub Real Names] Extension updated to', chrome.runtime.getManifest().version);
+    
+    // Move names cached by older versions into the cache store
+    migrateLegacyCache().catch(error => {
+      console.error('[GitHub Real Names] Error migrating cache:', error);
+    });
+  }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === 'editNameOverride' && tab?.id !== undefined) {
+    // The content script knows which element was right-clicked
+    chrome.tabs.sendMessage(tab.id, { action: 'editOverride' }, { frameId: info.frameId }).catch(() => {
+      // Tab might not have content script loaded yet
+    });
+  }
+});
+
+// Track rate limit info from response headers
+async function saveRateLimitData(response, host = DEFAULT_HOST) {
+  const rateLimitLimit = response.headers.get('X-RateLimit-Limit');
+  const rateLimitRemaining = response.headers.get('X-RateLimit-Remaining');
+  const rateLimitReset = response.headers.get('X-RateLimit-Reset');
+  
+  if (rateLimitLimit && rateLimitRemaining && rateLimitReset) {
+    const state = {
+      limit: parseInt(rateLimitLimit, 10),
+      remaining: parseInt(rateLimitRemaining, 10),
+      reset: parseInt(rateLimitReset, 10),
+    };
+    rateLimitStates.set(host, state);
+    if (host === DEFAULT_HOST) {
+      await chrome.storage.local.set({ rateLimitData: state });
+    }
+  }
+}
+
+// What content scripts receive for a login: the name (the login itself when
+// there is none) and the profile fields used by display formats
+function userRecord(name, profile = {}) {
+  return { name, profile };
+}
+
+// Profile fields kept from a REST or GraphQL user object
+// (pronouns only come from GraphQL; neither API exposes a time zone)
+function pickProfile(user) {
+  return {
+    company: user.company || null,
+    location: user.location || null,
+    pronouns: user.pronouns || null,
+  };
+}
+
+// Cache a definitive result with where it came from and the response status,
+// and tell open tabs when it differs from what they were showing
+// result: 'name' (profile has a name), 'no-name' or 'not-found'
+async function cacheRealName(username, realName, { source, status, result, etag = null, profile = {} }) {
+  const previous = await getCacheEntry(username);
+  const wasFailing = await clearFailedLookup(username);
+  
+  await setCacheEntry(username, { name: realName, source, status, result, etag, profile });
+  
+  const changed = previous
+    ? previous.name !== realName || JSON.stringify(previous.profile || {}) !== JSON.stringify(profile)
+    : wasFailing && realName !== parseHostKey(username).key;
+  if (changed) {
+    notifyTabs({ [username]: userRecord(realName, profile) });
+  }
+  
+  return userRecord(realName, profile);
+}
+
+// Classify a response: definitive results are cached, the rest are retried
+function isTransientStatus(status) {
+  return status === 401 || status === 403 || status === 429 || status >= 500;
+}
+
+// When the API tells us how long to wait, retry exactly then
+function getRetryAt(response) {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter) {
+    return Date.now() + parseInt(retryAfter, 10) * 1000;
+  }
+  
+  const rateLimitRemaining = response.headers.get('X-RateLimit-Remaining');
+  const rateLimitReset = response.headers.get('X-RateLimit-Reset');
+  if (rateLimitRemaining === '0' && rateLimitReset) {
+    return parseInt(rateLimitReset, 10) * 1000;
+  }
+  
+  return null;
+}
+
+async function loadFailedLookups() {
+  if (!failedLookups) {
+    const { failedLookups: stored = {} } = await chrome.storage.session.get('failedLookups');
+    failedLookups = failedLookups || stored;
+  }
+  return failedLookups;
+}
+
+// Schedule a retry for a transient failure, with exponential backoff unless
+// the API gave a reset time (X-RateLimit-Reset / Retry-After)
+async function recordFailedLookup(username, retryAt = null) {
+  const lookups = await loadFailedLookups();
+  const attempts = (lookups[username]?.attempts || 0) + 1;
+  const backoff = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+  
+  lookups[username] = { attempts, retryAt: retryAt || Date.now() + backoff };
+  await chrome.storage.session.set({ failedLookups: lookups });
+  await scheduleRetryAlarm();
+}
+
+// Returns true if the username was waiting for a retry
+async function clearFailedLookup(username) {
+  const lookups = await loadFailedLookups();
+  if (!lookups[username]) return false;
+  
+  delete lookups[username];
+  await chrome.storage.session.set({ failedLookups: lookups });
+  return true;
+}
+
+async function isWaitingForRetry(username) {
+  const lookups = await loadFailedLookups();
+  return lookups[username]?.retryAt > Date.now();
+}
+
+async function scheduleRetryAlarm() {
+  const lookups = await loadFailedLookups();
+  const retryTimes = Object.values(lookups).map(lookup => lookup.retryAt);
+  
+  if (retryTimes.length === 0) {
+    await chrome.alarms.clear(RETRY_ALARM);
+    return;
+  }
+  
+  chrome.alarms.create(RETRY_ALARM, { when: Math.max(Math.min(...retryTimes), Date.now()) });
+}
+
+// Re-resolve every lookup whose retry time has passed; open tabs are
+// notified through cacheRealName once a name comes back
+async function retryFailedLookups() {
+  const lookups = await loadFailedLookups();
+  const now = Date.now();
+  const due = Object.keys(lookups).filter(username => lookups[username].retryAt <= now);
+  
+  if (due.length > 0) {
+    console.log(`[GitHub Real Names] Retrying ${due.length} failed lookups`);
+  }
+  
+  await Promise.all(due.map(username => fetchDeduplicated(username).catch(error => {
+    console.error(`[GitHub Real Names] Retry failed for ${username}:`, error);
+  })));
+  
+  await scheduleRetryAlarm();
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETRY_ALARM) {
+    retryFailedLookups();
   }
 });
 
+function warnForStatus(status, profile) {
+  if (status === 403 || status === 429) {
+    console.warn(`[GitHub Real Names] Rate limited. ${profile.token ? 'Token may be invalid or expired.' : 'Consider adding a GitHub token.'}`);
+  } else if (status === 401 && profile.oauth) {
+    // The user revoked the extension's access on GitHub
+    console.warn(`[GitHub Real Names] GitHub sign-in was revoked.`);
+    signOut('revoked');
+  } else if (status === 401) {
+    console.warn(`[GitHub Real Names] Authentication failed. Token may be invalid.`);
+  }
+}
+
+// Fetch a single user through the REST API (used when there is no token,
+// and for revalidating entries that have an ETag, i.e. REST entries)
+async function fetchRealNameREST(username, profile, etag = null) {
+  const { key: login } = parseHostKey(username);
+  
+  try {
+    const headers = buildHeaders(profile.token);
+    if (etag) {
+      // A 304 answer does not count against the rate limit
+      headers['If-None-Match'] = etag;
+    }
+    
+    const response = await fetch(`${profile.apiUrl}/users/${login}`, { headers });
+    
+    await saveRateLimitData(response, profile.host);
+    
+    if (response.status === 304) {
+      // Unchanged since the cached copy: just mark it fresh again
+      const entry = await markCacheEntryFresh(username);
+      await clearFailedLookup(username);
+      return entry ? userRecord(entry.name, entry.profile) : userRecord(login);
+    }
+    
+    if (!response.ok) {
+      warnForStatus(response.status, profile);
+      
+      if (isTransientStatus(response.status)) {
+        // Show the username for now and try again later
+        await recordFailedLookup(username, getRetryAt(response));
+        return userRecord(login);
+      }
+      
+      return cacheRealName(username, login, {
+        source: 'rest',
+        status: response.status,
+        result: 'not-found',
+        etag: response.headers.get('ETag'),
+      });
+    }
+    
+    const data = await response.json();
+    
+    return cacheRealName(username, data.name || login, {
+      source: 'rest',
+      status: response.status,
+      result: data.name ? 'name' : 'no-name',
+      etag: response.headers.get('ETag'),
+      profile: pickProfile(data),
+    });
+  } catch (error) {
+    console.error(`[GitHub Real Names] Error fetching name:`, error);
+    await recordFailedLookup(username);
+    return userRecord(login);
+  }
+}
+
+// Resolve several users in one request using aliased `user(login:)` fields.
+// Logins are passed as variables so they never need escaping.
+async function fetchRealNamesGraphQL(usernames, profile) {
+  const records = new Map();
+  // Usernames of Enterprise hosts carry their host; the API wants the bare login
+  const logins = usernames.map(username => parseHostKey(username).key);
+  const variables = {};
+  const declarations = [];
+  const fields = [];
+  
+  logins.forEach((login, index) => {
+    variables[`l${index}`] = login;
+    declarations.push(`$l${index}: String!`);
+    fields.push(`u${index}: user(login: $l${index}) { login name company location pronouns }`);
+  });
+  
+  const query = `query(${declarations.join(', ')}) { ${fields.join(' ')} }`;
+  
+  try {
+    const response = await fetch(profile.graphqlUrl, {
+      method: 'POST',
+      headers: buildHeaders(profile.token),
+      body: JSON.stringify({ query, variables }),
+    });
+    
+    await saveRateLimitData(response, profile.host);
+    
+    if (!response.ok) {
+      warnForStatus(response.status, profile);
+      // Show the usernames for now and try again later
+      const retryAt = getRetryAt(response);
+      for (const [index, username] of usernames.entries()) {
+        await recordFailedLookup(username, retryAt);
+        records.set(username, userRecord(logins[index]));
+      }
+      return records;
+    }
+    
+    const { data, errors = [] } = await response.json();
+    
+    // Rate limits and server faults can come back as 200 with an error that
+    // belongs to no alias (and often no data): nothing in the batch is known
+    const batchError = errors.find(e => !e.path);
+    if (!data || batchError) {
+      console.warn(`[GitHub Real Names] GraphQL lookup failed:`, batchError?.message || 'no data');
+      const retryAt = getRetryAt(response);
+      for (const [index, username] of usernames.entries()) {
+        await recordFailedLookup(username, retryAt);
+        records.set(username, userRecord(logins[index]));
+      }
+      return records;
+    }
+    
+    for (const [index, username] of usernames.entries()) {
+      const alias = `u${index}`;
+      const user = data[alias];
+      // Errors are reported per alias (e.g. NOT_FOUND for a deleted account)
+      const error = errors.find(e => e.path?.[0] === alias);
+      
+      if (user) {
+        records.set(username, await cacheRealName(username, user.name || logins[index], {
+          source: 'graphql',
+          status: 200,
+          result: user.name ? 'name' : 'no-name',
+          profile: pickProfile(user),
+        }));
+      } else if (error?.type === 'NOT_FOUND') {
+        // Record the status a REST lookup would have returned for this user
+        records.set(username, await cacheRealName(username, logins[index], {
+          source: 'graphql',
+          status: 404,
+          result: 'not-found',
+        }));
+      } else {
+        // RATE_LIMITED, other errors and a missing answer are transient
+        console.warn(`[GitHub Real Names] GraphQL lookup failed for ${username}:`, error?.message || 'no data');
+        await recordFailedLookup(username, getRetryAt(response));
+        records.set(username, userRecord(logins[index]));
+      }
+    }
+    
+    return records;
+  } catch (error) {
+    console.error(`[GitHub Real Names] Error fetching names:`, error);
+    for (const [index, username] of usernames.entries()) {
+      await recordFailedLookup(username);
+      records.set(username, userRecord(logins[index]));
+    }
+    return records;
+  }
+}
+
+// Queue a lookup once, no matter how many tabs ask for it at the same time.
+// Every API lookup goes through this queue, so all of them share the
+// concurrency cap and the rate limit pause. Asking again with 'visible'
+// priority moves a queued lookup to the front.
+// Users are sent by sendLookupBatch (with an etag, as a conditional REST
+// request). Other lookups bring their own `fetch(profile)`, and the
+// `fallback` value they resolve to when they cannot be sent.
+function enqueueLookup(key, { priority = 'offscreen', etag = null, fetch = null, fallback = null } = {}) {
+  const queued = lookupQueue.get(key);
+  if (queued && priority === 'visible') {
+    queued.priority = priority;
+  }
+  
+  const inFlight = inFlightRequests.get(key);
+  if (inFlight) return inFlight;
+  
+  let resolve;
+  const promise = new Promise(r => { resolve = r; }).finally(() => {
+    inFlightRequests.delete(key);
+  });
+  inFlightRequests.set(key, promise);
+  lookupQueue.set(key, { priority, resolve, etag, fetch, fallback, host: parseHostKey(key).host });
+  
+  scheduleQueueDrain();
+  
+  return promise;
+}
+
+// Fetch a username once; see enqueueLookup
+function fetchDeduplicated(username, priority = 'offscreen', etag = null) {
+  return enqueueLookup(username, { priority, etag });
+}
+
+// What a lookup resolves to when it is not sent: the login for users
+function getLookupFallback(key, lookup) {
+  return lookup.fetch ? lookup.fallback : userRecord(parseHostKey(key).key);
+}
+
+// Collect lookups for a moment so they can share a GraphQL query
+function scheduleQueueDrain() {
+  if (drainTimer) return;
+  drainTimer = setTimeout(() => {
+    drainTimer = null;
+    drainLookupQueue();
+  }, GRAPHQL_BATCH_DELAY);
+}
+
+// Queued lookups in sending order: visible elements first, then by arrival
+function orderedQueue() {
+  const entries = Array.from(lookupQueue.entries());
+  return [
+    ...entries.filter(([, lookup]) => lookup.priority === 'visible'),
+    ...entries.filter(([, lookup]) => lookup.priority !== 'visible'),
+  ];
+}
+
+// Take the next lookups for a host that can share a request. Only plain user
+// lookups share a GraphQL query: conditional (ETag) revalidations go alone,
+// since GraphQL has no conditional requests, and so do commit, organisation
+// and team lookups.
+function takeFromQueue(host, count) {
+  const ordered = orderedQueue().filter(([, lookup]) => lookup.host === host);
+  if (ordered.length === 0) return [];
+  
+  const canShare = ([, lookup]) => !lookup.etag && !lookup.fetch;
+  const batch = !canShare(ordered[0]) || count === 1
+    ? ordered.slice(0, 1)
+    : ordered.filter(canShare).slice(0, count);
+  
+  batch.forEach(([username]) => lookupQueue.delete(username));
+  return batch;
+}
+
+// Returns the reset time (ms) if the host's remaining budget is too low to spend
+async function getRateLimitPause(host = DEFAULT_HOST) {
+  if (host === DEFAULT_HOST && !rateLimitStates.has(host)) {
+    const { rateLimitData } = await chrome.storage.local.get('rateLimitData');
+    rateLimitStates.set(host, rateLimitData || {});
+  }
+  
+  const { remaining, reset } = rateLimitStates.get(host) || {};
+  const resetAt = reset * 1000;
+  
+  if (remaining <= RATE_LIMIT_RESERVE && resetAt > Date.now()) {
+    return resetAt;
+  }
+  return null;
+}
+
+// Send queued lookups while there is a free request slot and rate limit budget
+async function drainLookupQueue() {
+  while (activeRequests < MAX_CONCURRENT_REQUESTS && lookupQueue.size > 0) {
+    // Each host has its own budget, token and API
+    const [[, { host }]] = orderedQueue();
+    const hostLookups = orderedQueue().filter(([, lookup]) => lookup.host === host);
+    const profile = await getApiProfile(host);
+    
+    if (!profile) {
+      // The host was removed from the options page
+      for (const [key, lookup] of hostLookups) {
+        lookupQueue.delete(key);
+        lookup.resolve(getLookupFallback(key, lookup));
+      }
+      continue;
+    }
+    
+    const pausedUntil = await getRateLimitPause(host);
+    if (pausedUntil) {
+      // Hand the host's user lookups to the retry queue, which resumes once
+      // the limit resets; other lookups are asked for again on a later page view
+      console.warn(`[GitHub Real Names] Rate limit nearly exhausted on ${host}. Pausing ${hostLookups.length} lookups until reset.`);
+      for (const [key, lookup] of hostLookups) {
+        lookupQueue.delete(key);
+        if (!lookup.fetch) await recordFailedLookup(key, pausedUntil);
+        lookup.resolve(getLookupFallback(key, lookup));
+      }
+      continue;
+    }
+    
+    // With a token, lookups are batched into aliased GraphQL queries
+    const batch = takeFromQueue(host, profile.token ? GRAPHQL_BATCH_SIZE : 1);
+    if (batch.length === 0) return;
+    
+    activeRequests++;
+    sendLookupBatch(batch, profile).finally(() => {
+      activeRequests--;
+      drainLookupQueue();
+    });
+  }
+}
+
+async function sendLookupBatch(batch, profile) {
+  try {
+    const [[firstUsername, firstLookup]] = batch;
+    
+    if (firstLookup.fetch) {
+      firstLookup.resolve(await firstLookup.fetch(profile));
+    } else if (profile.token && !firstLookup.etag) {
+      const records = await fetchRealNamesGraphQL(batch.map(([username]) => username), profile);
+      batch.forEach(([username, { resolve }]) => resolve(records.get(username)));
+    } else {
+      firstLookup.resolve(await fetchRealNameREST(firstUsername, profile, firstLookup.etag));
+    }
+  } catch (error) {
+    console.error('[GitHub Real Names] Error sending lookups:', error);
+    batch.forEach(([key, lookup]) => lookup.resolve(getLookupFallback(key, lookup)));
+  }
+}
+
+function getQueueStats() {
+  return {
+    queued: lookupQueue.size,
+    active: activeRequests,
+    waiting: Object.keys(failedLookups || {}).length,
+  };
+}
+
+// Stale-while-revalidate: refetch entries older than the configured TTL.
+// Only REST entries have an ETag to send; GraphQL has no conditional
+// requests, so entries it fetched are fetched again in a batch.
+function revalidateIfStale(username, entry) {
+  if (isCacheEntryStale(entry)) {
+    // Fire and forget - don't await
+    fetchDeduplicated(username, 'offscreen', entry.etag).catch(err => {
+      console.error(`[GitHub Real Names] Background revalidation failed for ${username}:`, err);
+    });
+  }
+}
+
+// Resolve a username to a { name, profile } record: cache store first, then API.
+// priority is 'visible' for elements in the viewport, 'offscreen' otherwise.
+async function resolveName(login, priority, host = DEFAULT_HOST) {
+  if (!login) return null;
+  
+  // People in the team directory never need a lookup. The directory lists
+  // github.com accounts.
+  if (host === DEFAULT_HOST) {
+    const directoryRecord = await getDirectoryRecord(login);
+    if (directoryRecord) return directoryRecord;
+  }
+  
+  const username = hostKey(login, host);
+  const entry = await getCacheEntry(username);
+  
+  if (entry) {
+    revalidateIfStale(username, entry);
+    return userRecord(entry.name, entry.profile);
+  }
+  
+  // A failed lookup is retried on schedule, not on every page that shows it
+  if (await isWaitingForRetry(username)) {
+    return userRecord(login);
+  }
+  
+  return fetchDeduplicated(username, priority);
+}
+
+// Author of a commit shown without a user link. GitHub maps the commit email
+// to an account when it can; otherwise the git author name is all there is.
+// Commits never change, so the result is cached under "commit:<repo>@<sha>"
+// and never revalidated.
+async function resolveCommitAuthor(repository, sha, host = DEFAULT_HOST) {
+  const key = hostKey(`commit:${repository}@${sha}`, host);
+  
+  const entry = await getCacheEntry(key);
+  if (entry?.result === 'not-found') return null;
+  if (entry) {
+    return { login: entry.profile.login, name: entry.name, email: entry.profile.email };
+  }
+  
+  return enqueueLookup(key, {
+    fetch: profile => fetchCommitAuthor(key, `${profile.apiUrl}/repos/${repository}/commits/${sha}`, profile),
+  });
+}
+
+async function fetchCommitAuthor(key, url, profile) {
+  try {
+    const response = await fetch(url, { headers: buildHeaders(profile.token) });
+    
+    await saveRateLimitData(response, profile.host);
+    
+    if (!response.ok) {
+      warnForStatus(response.status, profile);
+      
+      // Try again on a later page view
+      if (isTransientStatus(response.status)) return null;
+      
+      await setCacheEntry(key, {
+        name: null,
+        source: 'git',
+        status: response.status,
+        result: 'not-found',
+        profile: {},
+      });
+      return null;
+    }
+    
+    const data = await response.json();
+    const author = { login: data.author?.login, name: data.commit.author.name, email: data.commit.author.email };
+    
+    await setCacheEntry(key, {
+      name: author.name,
+      source: 'git',
+      status: response.status,
+      result: 'commit',
+      profile: { login: author.login, email: author.email },
+    });
+    
+    return author;
+  } catch (error) {
+    console.error(`[GitHub Real Names] Error fetching commit author:`, error);
+    return null;
+  }
+}
+
+// Profile name of an organisation, or name of one of its teams. These are
+// cached under "org:<org>" and "team:<org>/<slug>", apart from user logins.
+// Team names need a token that can read the organisation; without one the
+// API answers 404 and the slug keeps showing.
+async function resolveOrgName(org, team, host = DEFAULT_HOST) {
+  const key = hostKey(team ? `team:${org}/${team}` : `org:${org}`, host);
+  
+  const entry = await getCacheEntry(key);
+  if (entry && !isCacheEntryStale(entry)) {
+    return entry.name;
+  }
+  
+  const path = team ? `/orgs/${org}/teams/${team}` : `/orgs/${org}`;
+  const name = await enqueueLookup(key, {
+    fallback: undefined,
+    fetch: profile => fetchOrgName(key, `${profile.apiUrl}${path}`, profile),
+  });
+  // Keep showing a stale name when the refresh failed
+  return name === undefined ? entry?.name ?? null : name;
+}
+
+// Resolves to the name, null when there is none, or undefined when the
+// request failed and should be tried again later
+async function fetchOrgName(key, url, profile) {
+  try {
+    const response = await fetch(url, { headers: buildHeaders(profile.token) });
+    
+    await saveRateLimitData(response, profile.host);
+    
+    if (!response.ok) {
+      warnForStatus(response.status, profile);
+      if (isTransientStatus(response.status)) return undefined;
+      
+      await setCacheEntry(key, {
+        name: null,
+        source: 'rest',
+        status: response.status,
+        result: 'not-found',
+      });
+      return null;
+    }
+    
+    const data = await response.json();
+    const name = data.name || null;
+    
+    await setCacheEntry(key, {
+      name,
+      source: 'rest',
+      status: response.status,
+      result: name ? 'name' : 'no-name',
+    });
+    
+    return name;
+  } catch (error) {
+    console.error(`[GitHub Real Names] Error fetching name for ${key}:`, error);
+    return undefined;
+  }
+}
+
+// Fetch a cached user again right away, for the options page. Commit,
+// organisation and team entries are dropped instead and fetched again the
+// next time a page shows them.
+async function refetchCacheEntry(username) {
+  if (username.includes(':')) {
+    await deleteCacheEntry(username);
+    return null;
+  }
+  
+  // Left to cacheRealName to clear, so open tabs hear about a recovered name
+  const entry = await getCacheEntry(username);
+  return fetchDeduplicated(username, 'visible', entry?.etag);
+}
+
+// Logins a refresh mode fetches again: 'stale' is entries past their TTL,
+// 'failed' is lookups waiting for a retry and logins cached as not found,
+// 'page' is the logins tagged on the popup's tab (on `host`)
+async function getRefreshCandidates(mode, pageUsernames = [], host = DEFAULT_HOST) {
+  await loadCache();
+  
+  if (mode === 'stale') {
+    return Array.from(cacheEntries)
+      .filter(([username, entry]) => !username.includes(':') && isCacheEntryStale(entry))
+      .map(([username]) => username);
+  }
+  
+  if (mode === 'failed') {
+    const failed = new Set(Object.keys(await loadFailedLookups()));
+    for (const [username, entry] of cacheEntries) {
+      if (!username.includes(':') && entry.result === 'not-found') failed.add(username);
+    }
+    return Array.from(failed);
+  }
+  
+  if (mode === 'page') {
+    return pageUsernames
+      .filter(username => !username.includes(':'))
+      .map(username => hostKey(username, host));
+  }
+  
+  return [];
+}
+
+async function getRefreshCounts(pageUsernames, host) {
+  const [stale, failed, page] = await Promise.all(['stale', 'failed', 'page'].map(async (mode) => {
+    const usernames = await getRefreshCandidates(mode, pageUsernames, host);
+    return usernames.length;
+  }));
+  
+  return { stale, failed, page };
+}
+
+// Queue the logins of a refresh mode and return straight away; the popup
+// polls refreshProgress and tabs are notified by cacheRealName as names
+// come back. Unchanged profiles fetched through REST cost nothing thanks to
+// their ETag; the others go in GraphQL batches.
+async function startRefresh(mode, pageUsernames, host) {
+  const usernames = await getRefreshCandidates(mode, pageUsernames, host);
+  const progress = { mode, total: usernames.length, done: 0 };
+  refreshProgress = progress;
+  
+  usernames.forEach(async (username) => {
+    // The failed lookup stays until a name comes back: cacheRealName clears
+    // it and tells open tabs about the recovered name
+    const etag = cacheEntries.get(username)?.etag;
+    
+    try {
+      await fetchDeduplicated(username, mode === 'page' ? 'visible' : 'offscreen', etag);
+    } catch (error) {
+      console.error(`[GitHub Real Names] Refresh failed for ${username}:`, error);
+    }
+    progress.done++;
+  });
+  
+  return progress;
+}
+
+// After a host's token changed (sign-in, sign-out, options page), start over
+// with its rate limit and fetch the lookups that failed or were rate limited
+// again. Cached names stay: they do not depend on the token. Open tabs are
+// notified as names come back.
+async function retryWithNewToken(host = DEFAULT_HOST) {
+  rateLimitStates.delete(host);
+  if (host === DEFAULT_HOST) {
+    await chrome.storage.local.remove('rateLimitData');
+  }
+  await startRefresh('failed');
+}
+
+// Cached users whose name has a word starting with the query, for the
+// @-mention suggester on `host`. Commit, organisation and team entries are skipped.
+async function searchCachedNames(query, limit, host = DEFAULT_HOST) {
+  await loadCache();
+  
+  const needle = query.toLowerCase();
+  const results = [];
+  
+  for (const [username, entry] of cacheEntries) {
+    if (username.includes(':') || entry.result !== 'name' || !entry.name) continue;
+    
+    const { key: login, host: entryHost } = parseHostKey(username);
+    if (entryHost !== host) continue;
+    
+    const name = entry.name.toLowerCase();
+    if (name.startsWith(needle) || name.includes(` ${needle}`)) {
+      results.push({ login, name: entry.name, profile: entry.profile || {} });
+      if (results.length >= limit) break;
+    }
+  }
+  
+  return results;
+}
+
+// Push changed names to every open tab of their host, keyed by bare login
+async function notifyTabs(names) {
+  const namesByHost = new Map();
+  for (const [username, record] of Object.entries(names)) {
+    const { key: login, host } = parseHostKey(username);
+    if (!namesByHost.has(host)) namesByHost.set(host, {});
+    namesByHost.get(host)[login] = record;
+  }
+  
+  for (const [host, hostNames] of namesByHost) {
+    const tabs = await chrome.tabs.query({ url: `https://${host}/*` });
+    for (const tab of tabs) {
+      try {
+        await chrome.tabs.sendMessage(tab.id, { action: 'namesUpdated', names: hostNames });
+      } catch (error) {
+        // Tab might not have content script loaded yet
+      }
+    }
+  }
+}
+
+// Content scripts for Enterprise hosts are registered at runtime, since the
+// manifest only knows github.com. They load the same files as github.com's.
+async function syncHostContentScripts() {
+  const { hostProfiles = {} } = await chrome.storage.local.get('hostProfiles');
+  const [manifestScripts] = chrome.runtime.getManifest().content_scripts;
+  const hosts = Object.keys(hostProfiles);
+  
+  const registered = await chrome.scripting.getRegisteredContentScripts();
+  const stale = registered.filter(script => !hosts.includes(script.id));
+  if (stale.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: stale.map(script => script.id) });
+  }
+  
+  const missing = hosts.filter(host => !registered.some(script => script.id === host));
+  if (missing.length > 0) {
+    await chrome.scripting.registerContentScripts(missing.map(host => ({
+      id: host,
+      matches: [`https://${host}/*`],
+      js: manifestScripts.js,
+      runAt: manifestScripts.run_at,
+    })));
+  }
+}
+
+// Offer the context menu and content scripts on every configured host
+async function updateHostPatterns() {
+  try {
+    await syncHostContentScripts();
+    chrome.contextMenus.update('editNameOverride', { documentUrlPatterns: await getHostPatterns() });
+  } catch (error) {
+    console.error('[GitHub Real Names] Error updating hosts:', error);
+  }
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  
+  // Keep the rate limit mirror in sync when the options page resets it (token changes)
+  if (changes.rateLimitData) {
+    rateLimitStates.set(DEFAULT_HOST, changes.rateLimitData.newValue || {});
+  }
+  if (changes.hostProfiles) {
+    updateHostPatterns();
+  }
+});
+
+// Listen for name requests from content scripts and cache commands from the popup
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === 'resolveName') {
+    resolveName(message.username, message.priority, getUrlHost(sender.url)).then((record) => {
+      sendResponse(record);
+    }).catch((error) => {
+      console.error('[GitHub Real Names] Error resolving name:', error);
+      sendResponse(userRecord(message.username));
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'resolveCommitAuthor') {
+    resolveCommitAuthor(message.repository, message.sha, getUrlHost(sender.url)).then((author) => {
+      sendResponse(author);
+    }).catch((error) => {
+      console.error('[GitHub Real Names] Error resolving commit author:', error);
+      sendResponse(null);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'resolveOrgName') {
+    resolveOrgName(message.org, message.team, getUrlHost(sender.url)).then((name) => {
+      sendResponse(name);
+    }).catch((error) => {
+      console.error('[GitHub Real Names] Error resolving organisation name:', error);
+      sendResponse(null);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'searchNames') {
+    searchCachedNames(message.query, message.limit, getUrlHost(sender.url)).then((results) => {
+      sendResponse(results);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'clearCache') {
+    clearCache(message.host, { pinned: message.pinned }).then(() => {
+      sendResponse({ success: true });
+    }).catch((error) => {
+      console.error('[GitHub Real Names] Error clearing cache:', error);
+      sendResponse({ success: false, error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'getQueueStats') {
+    loadFailedLookups().then(() => {
+      sendResponse(getQueueStats());
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'exportCache') {
+    exportCacheEntries().then((entries) => {
+      sendResponse(entries);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'importCache') {
+    importCacheEntries(message.entries, message.strategy).then((result) => {
+      sendResponse(result);
+    }).catch((error) => {
+      console.error('[GitHub Real Names] Error importing cache:', error);
+      sendResponse({ error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'refreshDirectory') {
+    refreshDirectory().then((result) => {
+      refreshTabsFromDirectory(result);
+      sendResponse(result);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'listCache') {
+    listCacheEntries().then((entries) => {
+      sendResponse(entries);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'deleteCacheEntry') {
+    deleteCacheEntry(message.username).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'pinCacheEntry') {
+    setCacheEntryPinned(message.username, message.pinned).then((entry) => {
+      sendResponse({ success: !!entry });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'refetchCacheEntry') {
+    refetchCacheEntry(message.username).then((record) => {
+      sendResponse(record);
+    }).catch((error) => {
+      console.error('[GitHub Real Names] Error re-fetching name:', error);
+      sendResponse(null);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'getRefreshCounts') {
+    getRefreshCounts(message.usernames, message.host).then((counts) => {
+      sendResponse(counts);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'refreshNames') {
+    startRefresh(message.mode, message.usernames, message.host).then((progress) => {
+      sendResponse(progress);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'tokenChanged') {
+    retryWithNewToken(message.host).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'getRefreshProgress') {
+    sendResponse(refreshProgress);
+  } else if (message.action === 'startSignIn') {
+    startSignIn().then((status) => {
+      sendResponse(status);
+    }).catch((error) => {
+      console.error('[GitHub Real Names] Error starting sign-in:', error);
+      sendResponse({ error: error.message });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'getSignInStatus') {
+    getSignInStatus().then((status) => {
+      sendResponse(status);
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'signOut') {
+    // Failed lookups are tried again with the personal access token, if any
+    signOut().then(retryWithNewToken).then(() => {
+      sendResponse({ success: true });
+    });
+    return true; // Keep message channel open for async response
+  } else if (message.action === 'getCacheSettings') {
+    loadCache().then(() => {
+      sendResponse({ settings: cacheSettings, size: cacheEntries.size });
+    });
+    return true; // Keep message channel open for async response
+  }
+  return false;
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+// Export and import of cached names, overrides and settings, shared by the
+// popup and the options page
+
+// Export file layout; bump the version when it changes incompatibly
+const EXPORT_FORMAT = 'github-real-names';
+const EXPORT_VERSION = 1;
+// Settings included in exports. The token is deliberately not one of them.
+const EXPORTED_SETTINGS = [
+  'enabled', 'displaySettings', 'replacementRules', 'extractorSettings', 'cacheSettings', 'textScanning', 'orgNames',
+  'directorySource',
+];
+
+// Save cached names, overrides and settings to a JSON file; returns what
+// was exported, for the page to report
+async function exportData() {
+  const names = await chrome.runtime.sendMessage({ action: 'exportCache' });
+  const { nameOverrides = {}, ...stored } = await chrome.storage.local.get(['nameOverrides', ...EXPORTED_SETTINGS]);
+  
+  const backup = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    names,
+    overrides: nameOverrides,
+    settings: stored,
+  };
+  
+  const url = URL.createObjectURL(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `github-real-names-${backup.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+  
+  return `Exported ${Object.keys(names).length} names and ${Object.keys(nameOverrides).length} overrides.`;
+}
+
+// "a, b, c and 4 more"
+function formatLoginList(logins, max = 5) {
+  const shown = logins.slice(0, max).join(', ');
+  return logins.length > max ? `${shown} and ${logins.length - max} more` : shown;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Check an import file against the export layout; returns an error message
+function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup.format !== EXPORT_FORMAT) {
+    return 'Not a GitHub Real Names export.';
+  }
+  if (!Number.isInteger(backup.version) || backup.version > EXPORT_VERSION) {
+    return `Unsupported export version ${backup.version}; update the extension first.`;
+  }
+  if (!isPlainObject(backup.names) || !isPlainObject(backup.overrides) || !isPlainObject(backup.settings)) {
+    return 'The export is missing names, overrides or settings.';
+  }
+  
+  for (const [login, entry] of Object.entries(backup.names)) {
+    if (!isPlainObject(entry) || (entry.name !== null && typeof entry.name !== 'string') ||
+        typeof entry.fetchedAt !== 'number') {
+      return `Invalid cached name for "${login}".`;
+    }
+  }
+  for (const [login, name] of Object.entries(backup.overrides)) {
+    if (typeof name !== 'string') {
+      return `Invalid override for "${login}".`;
+    }
+  }
+  
+  return null;
+}
+
+// Whether the extension may read a directory source: GitHub repository
+// files always, URLs once access to their host was granted
+async function hasDirectoryAccess(source) {
+  if (!/^https?:\/\//.test(source)) return true;
+  
+  try {
+    return await chrome.permissions.contains({ origins: [`${new URL(source).origin}/*`] });
+  } catch (error) {
+    return false;
+  }
+}
+
+// Load an export, combining it with the current data by `strategy` ('merge'
+// or 'replace'). Returns { error } or { report, pendingDirectorySource }:
+// the report sentences, and an imported directory source the extension may
+// not read yet, which is left for the page to offer saving.
+async function importData(file, strategy) {
+  let backup;
+  try {
+    backup = JSON.parse(await file.text());
+  } catch (error) {
+    return { error: 'The file is not valid JSON.' };
+  }
+  
+  const invalid = validateBackup(backup);
+  if (invalid) {
+    return { error: invalid };
+  }
+  
+  const { nameOverrides = {}, ...stored } = await chrome.storage.local.get(['nameOverrides', ...EXPORTED_SETTINGS]);
+  
+  const result = await chrome.runtime.sendMessage({ action: 'importCache', entries: backup.names, strategy });
+  if (result.error) {
+    return { error: `Import failed: ${result.error}` };
+  }
+  
+  // On merge, your own overrides and settings win over imported ones
+  let overrides = backup.overrides;
+  const overrideConflicts = [];
+  const settings = {};
+  
+  if (strategy === 'merge') {
+    overrides = { ...backup.overrides, ...nameOverrides };
+    for (const [login, name] of Object.entries(backup.overrides)) {
+      if (login in nameOverrides && nameOverrides[login] !== name) overrideConflicts.push(login);
+    }
+  }
+  for (const key of EXPORTED_SETTINGS) {
+    if (key in backup.settings && (strategy === 'replace' || !(key in stored))) {
+      settings[key] = backup.settings[key];
+    }
+  }
+  
+  // Access to a directory's host can only be asked for from a click, so a
+  // directory the extension cannot read yet is not saved here
+  const pendingDirectorySource = settings.directorySource && !(await hasDirectoryAccess(settings.directorySource))
+    ? settings.directorySource
+    : null;
+  if (pendingDirectorySource) {
+    delete settings.directorySource;
+  }
+  
+  await chrome.storage.local.set({ ...settings, nameOverrides: overrides });
+  
+  const report = [`Imported ${result.imported} names and ${Object.keys(backup.overrides).length} overrides.`];
+  if (result.conflicts.length > 0) {
+    report.push(`Names differed for ${formatLoginList(result.conflicts)} (the newest was kept).`);
+  }
+  if (overrideConflicts.length > 0) {
+    report.push(`Kept your overrides for ${formatLoginList(overrideConflicts)}.`);
+  }
+  
+  // Let open tabs pick up the imported names
+  const tabs = await queryGitHubTabs();
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'refreshCache' });
+    } catch (error) {
+      console.error('Could not notify tab:', tab.id, error);
+    }
+  }
+  
+  return { report, pendingDirectorySource };
+}
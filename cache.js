@@ -0,0 +1,292 @@
+'use strict';
+
+// Name cache store, loaded by the background service worker.
+// Entries live under namespaced storage keys ("cache:<login>") so a login can
+// never clash with settings such as `enabled` or `githubToken`. Each entry
+// holds the name and profile fields, and records when it was fetched and
+// last used, where it came from and the HTTP status and ETag of the response
+// (REST only: GraphQL responses have no ETag, so those entries store null).
+// Pinned entries (set from the options page) are never revalidated or evicted.
+
+const CACHE_KEY_PREFIX = 'cache:';
+const CACHE_WRITE_DELAY = 2000; // Batch last-used updates into one write
+const DEFAULT_CACHE_SETTINGS = {
+  maxEntries: 5000, // Least recently used entries are evicted past this
+  ttlHours: 24,     // Entries older than this are revalidated
+};
+
+// Negative results change rarely, so they are revalidated less often.
+// Entries with a real name use the configurable ttlHours instead.
+const NEGATIVE_TTL_HOURS = {
+  'no-name': 7 * 24,  // The profile exists but has no name set
+  'not-found': 6,     // Deleted, renamed or mistyped account
+};
+
+// Keys that are settings, not names, in the pre-namespace storage layout
+const LEGACY_SETTING_KEYS = new Set(['enabled', 'githubToken', 'rateLimitData']);
+
+// username -> entry, ordered from least to most recently used
+let cacheEntries = null;
+let cacheLoading = null;
+let cacheSettings = { ...DEFAULT_CACHE_SETTINGS };
+
+// Usernames whose lastUsed changed since the last write
+const touchedEntries = new Set();
+let touchWriteTimer = null;
+
+function cacheKey(username) {
+  return CACHE_KEY_PREFIX + username;
+}
+
+// Load all entries and settings from storage (once per service worker start)
+async function loadCache() {
+  if (cacheEntries) return;
+  
+  if (!cacheLoading) {
+    cacheLoading = (async () => {
+      const items = await chrome.storage.local.get(null);
+      cacheSettings = { ...DEFAULT_CACHE_SETTINGS, ...items.cacheSettings };
+      
+      const entries = [];
+      for (const key in items) {
+        if (key.startsWith(CACHE_KEY_PREFIX)) {
+          entries.push([key.slice(CACHE_KEY_PREFIX.length), items[key]]);
+        }
+      }
+      entries.sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
+      
+      cacheEntries = new Map(entries);
+      console.log(`[GitHub Real Names] Loaded ${cacheEntries.size} cached names`);
+    })();
+  }
+  
+  await cacheLoading;
+}
+
+// Get an entry and mark it as most recently used
+async function getCacheEntry(username) {
+  await loadCache();
+  
+  const entry = cacheEntries.get(username);
+  if (!entry) return null;
+  
+  entry.lastUsed = Date.now();
+  cacheEntries.delete(username);
+  cacheEntries.set(username, entry);
+  scheduleTouchWrite(username);
+  
+  return entry;
+}
+
+// Store a freshly fetched entry, evicting old ones if over the size cap
+async function setCacheEntry(username, { name, source, status, result, etag = null, profile = {} }) {
+  await loadCache();
+  
+  const now = Date.now();
+  const entry = { name, profile, fetchedAt: now, lastUsed: now, source, status, result, etag };
+  if (cacheEntries.get(username)?.pinned) {
+    entry.pinned = true;
+  }
+  
+  cacheEntries.delete(username);
+  cacheEntries.set(username, entry);
+  touchedEntries.delete(username);
+  await chrome.storage.local.set({ [cacheKey(username)]: entry });
+  
+  await evictLeastRecentlyUsed();
+  
+  return entry;
+}
+
+// Reset the age of an entry the API confirmed unchanged (304 Not Modified)
+async function markCacheEntryFresh(username) {
+  await loadCache();
+  
+  const entry = cacheEntries.get(username);
+  if (!entry) return null;
+  
+  entry.fetchedAt = Date.now();
+  touchedEntries.delete(username);
+  await chrome.storage.local.set({ [cacheKey(username)]: entry });
+  
+  return entry;
+}
+
+function isCacheEntryStale(entry) {
+  if (entry.pinned) return false;
+  
+  const ttlHours = NEGATIVE_TTL_HOURS[entry.result] || cacheSettings.ttlHours;
+  return Date.now() - entry.fetchedAt > ttlHours * 60 * 60 * 1000;
+}
+
+// All entries, least recently used first, for the options page
+async function listCacheEntries() {
+  await loadCache();
+  return Array.from(cacheEntries, ([username, entry]) => ({ username, ...entry }));
+}
+
+async function deleteCacheEntry(username) {
+  await loadCache();
+  
+  cacheEntries.delete(username);
+  touchedEntries.delete(username);
+  await chrome.storage.local.remove(cacheKey(username));
+}
+
+async function setCacheEntryPinned(username, pinned) {
+  await loadCache();
+  
+  const entry = cacheEntries.get(username);
+  if (!entry) return null;
+  
+  if (pinned) {
+    entry.pinned = true;
+  } else {
+    delete entry.pinned;
+  }
+  touchedEntries.delete(username);
+  await chrome.storage.local.set({ [cacheKey(username)]: entry });
+  
+  return entry;
+}
+
+// Drop every entry, or only those of one host (see hostKey). Pinned entries
+// stay unless `pinned` is set, e.g. when the host itself is removed.
+async function clearCache(host = null, { pinned = false } = {}) {
+  await loadCache();
+  
+  const usernames = Array.from(cacheEntries.keys())
+    .filter(username => !host || parseHostKey(username).host === host)
+    .filter(username => pinned || !cacheEntries.get(username).pinned);
+  
+  usernames.forEach(username => {
+    cacheEntries.delete(username);
+    touchedEntries.delete(username);
+  });
+  await chrome.storage.local.remove(usernames.map(cacheKey));
+}
+
+// All entries, keyed by login, for the popup's export
+async function exportCacheEntries() {
+  await loadCache();
+  return Object.fromEntries(cacheEntries);
+}
+
+// Add entries from an export. 'replace' empties the cache first, except for
+// pinned entries; 'merge' keeps the more recently fetched of two entries for
+// the same login.
+// Returns how many entries were written and the logins whose names differed.
+async function importCacheEntries(entries, strategy) {
+  if (strategy === 'replace') {
+    await clearCache();
+  } else {
+    await loadCache();
+  }
+  
+  const items = {};
+  const conflicts = [];
+  
+  for (const [username, entry] of Object.entries(entries)) {
+    const current = cacheEntries.get(username);
+    if (current) {
+      if (current.name !== entry.name) conflicts.push(username);
+      if (current.fetchedAt >= entry.fetchedAt) continue;
+    }
+    
+    const imported = { ...entry, lastUsed: entry.lastUsed || entry.fetchedAt };
+    cacheEntries.delete(username);
+    cacheEntries.set(username, imported);
+    items[cacheKey(username)] = imported;
+  }
+  
+  await chrome.storage.local.set(items);
+  await evictLeastRecentlyUsed();
+  
+  return { imported: Object.keys(items).length, conflicts };
+}
+
+async function evictLeastRecentlyUsed() {
+  const excess = cacheEntries.size - cacheSettings.maxEntries;
+  if (excess <= 0) return;
+  
+  const evicted = Array.from(cacheEntries.keys())
+    .filter(username => !cacheEntries.get(username).pinned)
+    .slice(0, excess);
+  evicted.forEach(username => {
+    cacheEntries.delete(username);
+    touchedEntries.delete(username);
+  });
+  
+  await chrome.storage.local.remove(evicted.map(cacheKey));
+  console.log(`[GitHub Real Names] Evicted ${evicted.length} least recently used names`);
+}
+
+// Persist lastUsed updates in batches rather than on every lookup
+function scheduleTouchWrite(username) {
+  touchedEntries.add(username);
+  
+  if (touchWriteTimer) return;
+  touchWriteTimer = setTimeout(() => {
+    touchWriteTimer = null;
+    
+    const items = {};
+    touchedEntries.forEach(touched => {
+      const entry = cacheEntries.get(touched);
+      if (entry) items[cacheKey(touched)] = entry;
+    });
+    touchedEntries.clear();
+    
+    chrome.storage.local.set(items).catch(error => {
+      console.error('[GitHub Real Names] Error saving cache usage:', error);
+    });
+  }, CACHE_WRITE_DELAY);
+}
+
+// Move names stored as top-level `<login>: { name, timestamp }` keys
+// into the namespaced layout
+async function migrateLegacyCache() {
+  const items = await chrome.storage.local.get(null);
+  const migrated = {};
+  const legacyKeys = [];
+  
+  for (const key in items) {
+    if (LEGACY_SETTING_KEYS.has(key) || key.startsWith(CACHE_KEY_PREFIX)) continue;
+    
+    const value = items[key];
+    if (typeof value?.name !== 'string' || typeof value.timestamp !== 'number') continue;
+    
+    // Older versions stored the login as the name on any failure, so those
+    // entries are marked stale to be fetched again
+    const isFallback = value.name === key;
+    
+    migrated[cacheKey(key)] = {
+      name: value.name,
+      fetchedAt: isFallback ? 0 : value.timestamp,
+      lastUsed: value.timestamp,
+      source: 'legacy',
+      status: null,
+    };
+    legacyKeys.push(key);
+  }
+  
+  if (legacyKeys.length === 0) return;
+  
+  await chrome.storage.local.set(migrated);
+  await chrome.storage.local.remove(legacyKeys);
+  
+  // Force a reload so the migrated entries are picked up
+  cacheEntries = null;
+  cacheLoading = null;
+  
+  console.log(`[GitHub Real Names] Migrated ${legacyKeys.length} cached names`);
+}
+
+// Apply settings changes (from the popup) without a restart
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes.cacheSettings) return;
+  
+  cacheSettings = { ...DEFAULT_CACHE_SETTINGS, ...changes.cacheSettings.newValue };
+  if (cacheEntries) {
+    evictLeastRecentlyUsed();
+  }
+});
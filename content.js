@@ -4,7 +4,32 @@
 const MAX_USERNAME_LENGTH = 39; // GitHub's username length limit
 const BATCH_SIZE = 50;
 const DEBOUNCE_DELAY = 100;
-const INITIAL_DELAY = 0; // Process immediately after cache is loaded
+const INITIAL_DELAY = 0; // Process immediately after init
+
+// Display format template and whether mentions keep their "@"
+const DEFAULT_DISPLAY_SETTINGS = {
+  format: '{name}',
+  mentionPrefix: false,
+};
+
+// Where names can be replaced (see getReplacementContext). Most contexts
+// come from USERNAME_EXTRACTORS; these pages have no extractor of their own.
+// Users switch contexts off in the popup.
+const PAGE_CONTEXTS = [
+  { context: 'files', path: /^\/[^\/]+\/[^\/]+(\/(tree|blob)\/.*)?\/?$/ },
+  { context: 'insights', path: /^\/[^\/]+\/[^\/]+\/(graphs|pulse)(\/|$)/ },
+];
+
+const DEFAULT_REPLACEMENT_RULES = {
+  contexts: {}, // context id -> false to keep logins there
+  repositories: [], // [{ pattern: 'owner/repo' glob, enabled }], first match wins
+};
+
+// Template text left dangling next to an empty field (e.g. "{name} · {company}")
+const TEMPLATE_SEPARATORS_BEFORE = /[\s·•,|\-–—]+$/;
+const TEMPLATE_SEPARATORS_AFTER = /^[\s·•,|\-–—]+/;
+const TEMPLATE_PARENS_BEFORE = /\(\s*@?\s*$/;
+const TEMPLATE_PARENS_AFTER = /^\s*\)/;
 
 const EXCLUDED_PATHS = new Set([
   'orgs', 'organizations', 'packages', 'projects', 'teams',
@@ -15,35 +40,78 @@ const EXCLUDED_PATHS = new Set([
   'stars', 'new', 'login', 'logout', 'signup', 'join', 'sessions', 'community'
 ]);
 
+// Turbo, pjax and React soft navigations swap page content without a reload
+const NAVIGATION_EVENTS = ['turbo:load', 'turbo:render', 'pjax:end', 'soft-nav:render', 'soft-nav:end'];
+
 const NAVIGATION_PATTERNS = /^(open|view|edit|delete|close|save|cancel|submit|packages|settings|notifications|explore|search|issues|pull requests|discussions|actions|projects|wiki|security|insights|new|create|fork|star|watch|code|commit|branch|tag|release)($|\s)/i;
 
 // State management
 let isEnabled = true;
+// Names resolved for this page only: username -> { name, profile }
+// The shared cache lives in background.js
 const nameCache = new Map();
+// User-defined display names: lowercase login -> name (win over the cache)
+let nameOverrides = {};
+let displaySettings = { ...DEFAULT_DISPLAY_SETTINGS };
+let replacementRules = { ...DEFAULT_REPLACEMENT_RULES };
+// Organisation and team names, off unless switched on in the popup
+let orgNamesEnabled = false;
+// Username extractors switched off on the options page: id -> false
+let extractorSettings = {};
+// Selector of every element worth processing, see buildTrackedSelectors
+let trackedSelectors = '';
+// Names resolved for this page only: "org:<org>" or "team:<org>/<slug>" -> name
+const orgNameCache = new Map();
+// Git author names of commit authors without an account: shown text -> { name, profile }.
+// Kept apart from nameCache, since the shown text is often a login of someone else.
+const gitAuthorNames = new Map();
+// Last processed element right-clicked, for the context-menu override editor
+let contextMenuElement = null;
 let processedElements = new WeakSet();
+// Elements waiting for a name, watched to request visible ones first
+const visibilityObserver = new IntersectionObserver(handleVisibilityChanges);
+const requestedOffscreen = new WeakSet();
+// Commit author elements with a lookup on the way
+const pendingCommitAuthors = new WeakSet();
+// Why extractUsername found no login in an element, for debug mode (debug.js)
+const rejectedElements = new WeakMap();
+// The observer watching the page, and the <body> it watches (Turbo may replace it)
+let pageObserver = null;
+let observedBody = null;
+let navigationTimer = null;
 
-// Selectors for different types of username elements on GitHub
-// We use simple selectors and filter out images in isValidUsernameElement()
-const USERNAME_SELECTORS = [
-  // User-specific links (most reliable)
-  'a[data-hovercard-type="user"]',
-  'a[data-hovercard-url*="/users/"]',
-  
-  // User mentions
-  'a.user-mention',
-  
-  // Common author/contributor classes
-  'a.author',
-  'a.commit-author',
-  'a.author-link',
-  
-  // Profile links
-  'a[itemprop="author"]',
+// Commit authors shown without a user link (emails not linked to an account).
+// They are resolved from the commit's git metadata instead of a login.
+const COMMIT_AUTHOR_SELECTORS = [
+  // Commit lists, PR commit tabs and timeline commits
+  'span.commit-author',
+  '[data-testid="commit-row-item"] [data-testid="author-name"]',
   
-  // General GitHub user links - will be filtered by validation logic
-  'a[href^="/"]',
+  // Blame
+  '[data-testid="blame-author-name"]',
 ].join(', ');
 
+// Rows holding a commit link next to its author
+const COMMIT_ROW_SELECTORS = [
+  '.js-commits-list-item',
+  '[data-testid="commit-row-item"]',
+  '.blame-hunk',
+  '.TimelineItem',
+  '.Box-row',
+].join(', ');
+
+// Organisation logins and @org/team mentions. Their paths are in
+// EXCLUDED_PATHS, so they never reach the username extractors.
+const ORG_SELECTORS = [
+  'a[data-hovercard-type="organization"]',
+  'a[data-hovercard-type="team"]',
+  'a.team-mention',
+].join(', ');
+
+
+// Elements already processed, by the attributes we leave on them
+const PROCESSED_SELECTORS = '[data-github-realnames-username], [data-github-realnames-org-label]';
+
 // Helper functions
 function textMatchesUsername(text, username) {
   return text.toLowerCase() === username.toLowerCase();
@@ -78,31 +146,32 @@ function isCommitUrl(href) {
          /\/[a-f0-9]{40}/.test(href);
 }
 
-function isValidUsernameElement(element, text, href) {
+// Why an element cannot hold a username, or null if it can
+function getRejectionReason(element, text, href) {
   // Skip if element itself is an image or SVG
-  if (element.tagName === 'IMG' || element.tagName === 'SVG') return false;
+  if (element.tagName === 'IMG' || element.tagName === 'SVG') return 'image';
   
   // Skip if no text content
-  if (!text) return false;
+  if (!text) return 'no text';
   
   // Skip excluded paths (orgs, packages, etc.)
-  if (isExcludedPath(href)) return false;
+  if (isExcludedPath(href)) return 'excluded path';
   
   // Skip buttons and interactive elements
-  if (isButtonElement(element)) return false;
+  if (isButtonElement(element)) return 'button';
   
   // Skip if text is too long to be a username
-  if (text.length > MAX_USERNAME_LENGTH + 1) return false;
+  if (text.length > MAX_USERNAME_LENGTH + 1) return 'text too long for a login';
   
   // Skip navigation text
-  if (isNavigationText(text)) return false;
+  if (isNavigationText(text)) return 'navigation text';
   
   // Skip if element has an avatar or profile image class (the container itself)
   if (element.classList.contains('avatar') || 
       element.classList.contains('avatar-user') ||
-      element.closest('.avatar, .avatar-user')) return false;
+      element.closest('.avatar, .avatar-user')) return 'avatar';
   
-  return true;
+  return null;
 }
 
 function extractUsernameFromHref(href, text, element) {
@@ -172,197 +241,459 @@ function extractUsernameFromAttributes(element, text) {
   return null;
 }
 
-// Extract username from various element types
+// Links are matched by their href first, then by data attributes or text
+function extractUsernameFromLink(element, text, href) {
+  return extractUsernameFromHref(href, text, element) || extractUsernameFromAttributes(element, text);
+}
+
+// Commits in PR timelines credit the author next to the avatar
+function extractUsernameFromTimeline(element, text, href) {
+  if (isCommitUrl(href)) return null;
+  
+  const timelineItem = element.closest('.TimelineItem');
+  return (timelineItem && extractUsernameFromTimelineCommit(element, text, timelineItem)) ||
+         extractUsernameFromLink(element, text, href);
+}
+
+// Username extractors, one per surface of GitHub, tried in order. An
+// extractor looks at the links inside its `scope` and the elements matching
+// its `selector`; `path` (if any) limits it to matching pages, and
+// `extract(element, text, href)` returns the login or null. Each can be
+// switched off on the options page (extractorSettings). `context` is the
+// replacement context of everything in its scope, and of its whole page when
+// it has a path. Organisation links and commit authors without a link have
+// their own updaters (ORG_SELECTORS, COMMIT_AUTHOR_SELECTORS).
+const USERNAME_EXTRACTORS = [
+  {
+    id: 'timeline',
+    context: 'timeline',
+    scope: '.TimelineItem, .timeline-comment-header',
+    extract: extractUsernameFromTimeline,
+  },
+  {
+    id: 'reviewers',
+    context: 'reviewers',
+    scope: '.discussion-sidebar-item',
+    selector: 'a.assignee',
+    extract: extractUsernameFromLink,
+  },
+  {
+    id: 'commits',
+    context: 'commits',
+    path: /^\/[^\/]+\/[^\/]+\/(commits?(\/|$)|pull\/\d+\/commits)/,
+    scope: '.js-commits-list-item, [data-testid="commit-row-item"]',
+    extract: extractUsernameFromLink,
+  },
+  {
+    id: 'blame',
+    context: 'blame',
+    path: /^\/[^\/]+\/[^\/]+\/blame\//,
+    scope: '.blame-hunk, [data-testid^="blame"]',
+    extract: extractUsernameFromLink,
+  },
+  {
+    id: 'projects',
+    path: /^\/(orgs|users)\/[^\/]+\/projects\//,
+    scope: '[data-testid^="board"], [role="gridcell"]',
+    extract: extractUsernameFromLink,
+  },
+  {
+    id: 'discussions',
+    path: /^\/[^\/]+\/[^\/]+\/discussions(\/|$)/,
+    scope: '.js-discussion, .discussion-timeline-actions',
+    extract: extractUsernameFromLink,
+  },
+  {
+    id: 'actions',
+    path: /^\/[^\/]+\/[^\/]+\/actions(\/|$)/,
+    scope: '.ActionListItem, .WorkflowRunSummary, [data-testid="workflow-run-summary"]',
+    extract: extractUsernameFromLink,
+  },
+  // Anywhere else: links GitHub marks as pointing to a user, and mentions
+  {
+    id: 'links',
+    selector: [
+      'a[data-hovercard-type="user"]',
+      'a[data-hovercard-url*="/users/"]',
+      'a.user-mention',
+      'a.author',
+      'a.commit-author',
+      'a.author-link',
+      'a[itemprop="author"]',
+    ].join(', '),
+    extract: extractUsernameFromLink,
+  },
+].map(extractor => ({ ...extractor, selector: getExtractorSelector(extractor) }));
+
+// Elements an extractor looks at: links inside its scope, plus its selector
+function getExtractorSelector({ scope, selector }) {
+  const links = scope ? scope.split(', ').map(container => `${container} a[href^="/"]`) : [];
+  return [...links, ...(selector ? [selector] : [])].join(', ');
+}
+
+function isExtractorActive(extractor) {
+  return extractorSettings[extractor.id] !== false &&
+         (!extractor.path || extractor.path.test(location.pathname));
+}
+
+// Everything the page observer and processPage look at. Page paths are
+// checked when extracting, so soft navigations need no new selector.
+function buildTrackedSelectors() {
+  return [
+    ...USERNAME_EXTRACTORS
+      .filter(extractor => extractorSettings[extractor.id] !== false)
+      .map(extractor => extractor.selector),
+    COMMIT_AUTHOR_SELECTORS,
+    ORG_SELECTORS,
+  ].join(', ');
+}
+
+// Extract username with the first active extractor that finds one. Misses
+// are kept in rejectedElements with their reason.
 function extractUsername(element) {
   const text = element.textContent?.trim();
   const href = element.getAttribute('href');
   
   // Early validation checks
-  if (!isValidUsernameElement(element, text, href)) {
+  const reason = getRejectionReason(element, text, href);
+  if (reason) {
+    rejectedElements.set(element, reason);
     return null;
   }
   
-  // Special case: Timeline items (commits in PRs, etc.)
-  const timelineItem = element.closest('.TimelineItem');
-  if (timelineItem) {
-    if (isCommitUrl(href)) {
-      return null;
-    }
+  let tried = false;
+  for (const extractor of USERNAME_EXTRACTORS) {
+    if (!isExtractorActive(extractor) || !element.matches(extractor.selector)) continue;
     
-    const timelineUsername = extractUsernameFromTimelineCommit(element, text, timelineItem);
-    if (timelineUsername) {
-      return timelineUsername;
+    tried = true;
+    const username = extractor.extract(element, text, href);
+    if (username) {
+      rejectedElements.delete(element);
+      return username;
     }
   }
   
-  // Try to extract from href
-  const hrefUsername = extractUsernameFromHref(href, text, element);
-  if (hrefUsername) {
-    return hrefUsername;
-  }
-  
-  // Try to extract from data attributes or text content
-  return extractUsernameFromAttributes(element, text);
+  rejectedElements.set(element, tried ? 'text does not match a login in the link' : 'no extractor for this page');
+  return null;
 }
 
-// Fetch real name from GitHub API with rate limiting awareness
-async function fetchRealName(username, skipCache = false) {
-  if (!username) return null;
-  
-  if (!skipCache && nameCache.has(username)) {
-    return nameCache.get(username);
+// Ask the background resolver for a { name, profile } record (it owns
+// fetching and caching). priority is 'visible' or 'offscreen'; visible
+// lookups are sent first.
+async function requestRealName(username, priority) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'resolveName', username, priority });
+    return response || { name: username, profile: {} };
+  } catch (error) {
+    console.error(`[GitHub Real Names] Error requesting name for ${username}:`, error);
+    return { name: username, profile: {} };
   }
+}
+
+function getOverride(username) {
+  return nameOverrides[username.toLowerCase()];
+}
+
+// Fill a display template. Placeholders: {name}, {login}, {first}, {last},
+// {initials} and {company}. An empty field drops the template text that
+// only went with it: parentheses around it and the separators before it
+// (after it, when nothing comes before). Field values are never trimmed.
+function formatDisplayName(template, name, username, profile) {
+  const parts = name.trim().split(/\s+/).filter(Boolean);
+  // Computed only for the placeholders the template uses
+  const fields = {
+    name: () => name,
+    login: () => username,
+    first: () => parts[0] || '',
+    last: () => parts.length > 1 ? parts[parts.length - 1] : '',
+    initials: () => parts.map(part => [...part][0].toUpperCase()).join(''),
+    company: () => profile.company || '',
+  };
   
-  try {
-    // Get token from storage if available
-    const { githubToken } = await chrome.storage.local.get('githubToken');
-    
-    // Build headers
-    const headers = {
-      'Accept': 'application/vnd.github.v3+json',
-    };
+  // Template text at even indexes, placeholder names at odd ones
+  const pieces = template.split(/\{(\w+)\}/);
+  for (let i = 1; i < pieces.length; i += 2) {
+    const key = pieces[i];
+    pieces[i] = key in fields ? fields[key]() : `{${key}}`;
+    if (pieces[i]) continue;
     
-    if (githubToken) {
-      // Use correct auth format based on token type
-      // Classic tokens (ghp_): use "token" prefix
-      // Fine-grained tokens (github_pat_): use "Bearer" prefix
-      if (githubToken.startsWith('github_pat_')) {
-        headers['Authorization'] = `Bearer ${githubToken}`;
-      } else {
-        headers['Authorization'] = `token ${githubToken}`;
-      }
+    if (TEMPLATE_PARENS_BEFORE.test(pieces[i - 1]) && TEMPLATE_PARENS_AFTER.test(pieces[i + 1])) {
+      pieces[i - 1] = pieces[i - 1].replace(TEMPLATE_PARENS_BEFORE, '');
+      pieces[i + 1] = pieces[i + 1].replace(TEMPLATE_PARENS_AFTER, '');
     }
     
-    const response = await fetch(`https://api.github.com/users/${username}`, { headers });
-    
-    // Track rate limit info from response headers
-    const rateLimitLimit = response.headers.get('X-RateLimit-Limit');
-    const rateLimitRemaining = response.headers.get('X-RateLimit-Remaining');
-    const rateLimitReset = response.headers.get('X-RateLimit-Reset');
-    
-    if (rateLimitLimit && rateLimitRemaining && rateLimitReset) {
-      await chrome.storage.local.set({
-        rateLimitData: {
-          limit: parseInt(rateLimitLimit, 10),
-          remaining: parseInt(rateLimitRemaining, 10),
-          reset: parseInt(rateLimitReset, 10),
-        }
-      });
-    }
-    
-    if (!response.ok) {
-      if (response.status === 403 || response.status === 429) {
-        const hasToken = !!githubToken;
-        console.warn(`[GitHub Real Names] Rate limited. ${hasToken ? 'Token may be invalid or expired.' : 'Consider adding a GitHub token.'}`);
-      } else if (response.status === 401) {
-        console.warn(`[GitHub Real Names] Authentication failed. Token may be invalid.`);
-      }
-      // Cache the username itself to avoid repeated failures
-      nameCache.set(username, username);
-      await chrome.storage.local.set({ 
-        [username]: { name: username, timestamp: Date.now() }
-      });
-      return username;
+    if (pieces.slice(0, i).join('').replace(TEMPLATE_SEPARATORS_BEFORE, '')) {
+      pieces[i - 1] = pieces[i - 1].replace(TEMPLATE_SEPARATORS_BEFORE, '');
+    } else {
+      pieces[i + 1] = pieces[i + 1].replace(TEMPLATE_SEPARATORS_AFTER, '');
     }
-    
-    const data = await response.json();
-    const realName = data.name || username;
-    
-    // Cache both in memory and storage with timestamp
-    nameCache.set(username, realName);
-    await chrome.storage.local.set({ 
-      [username]: { name: realName, timestamp: Date.now() }
-    });
-    
-    return realName;
-  } catch (error) {
-    console.error(`[GitHub Real Names] Error fetching name:`, error);
-    // Cache the username itself to avoid repeated failures
-    nameCache.set(username, username);
-    await chrome.storage.local.set({ 
-      [username]: { name: username, timestamp: Date.now() }
-    });
-    return username;
   }
+  
+  return pieces.join('').trim() || name;
 }
 
-// Stale-while-revalidate: Check if cache entry should be revalidated
-// Revalidate entries older than 24 hours
-const REVALIDATE_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+// Name to show for a login: override, then resolved name (both formatted
+// with the display template), then the login itself
+function getDisplayName(username) {
+  const record = nameCache.get(username);
+  const name = getOverride(username) || (record?.name !== username ? record?.name : null);
+  if (!name) return username;
+  
+  return formatDisplayName(displaySettings.format, name, username, record?.profile || {});
+}
 
-async function revalidateIfStale(username, timestamp) {
-  const now = Date.now();
-  const age = now - timestamp;
+// Context of an element (or of the page, without one): that of the first
+// extractor for this page whose scope holds the element, else that of the
+// page (an extractor or PAGE_CONTEXTS entry with a matching path), else 'other'
+function getReplacementContext(element) {
+  const path = location.pathname;
+  const inScope = element && USERNAME_EXTRACTORS.find(extractor =>
+    extractor.context && extractor.scope && (!extractor.path || extractor.path.test(path)) &&
+    element.closest(extractor.scope)
+  );
+  if (inScope) return inScope.context;
   
-  // If entry is older than 24 hours, revalidate in background
-  if (age > REVALIDATE_AGE_MS) {
-    // Fire and forget - don't await
-    fetchRealName(username, true).catch(err => {
-      console.error(`[GitHub Real Names] Background revalidation failed for ${username}:`, err);
-    });
-  }
+  const page = [...USERNAME_EXTRACTORS, ...PAGE_CONTEXTS].find(entry => entry.context && entry.path?.test(path));
+  return page ? page.context : 'other';
+}
+
+// "owner/repo" of the current page ("owner/" outside repositories)
+function getRepository() {
+  const [owner = '', repo = ''] = location.pathname.split('/').filter(Boolean);
+  return `${owner}/${repo}`;
+}
+
+// Turn an owner/repo glob into a RegExp; a bare owner covers all its repos
+function globToRegExp(pattern) {
+  const glob = pattern.includes('/') ? pattern : `${pattern}/*`;
+  const source = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+function getRepositoryRule() {
+  const repository = getRepository();
+  return replacementRules.repositories.find(rule => globToRegExp(rule.pattern).test(repository)) || null;
+}
+
+// Repository rules decide for the whole page, context rules per element
+function isReplacementAllowed(element) {
+  const repositoryRule = getRepositoryRule();
+  if (repositoryRule && !repositoryRule.enabled) return false;
+  
+  return replacementRules.contexts[getReplacementContext(element)] !== false;
+}
+
+// Whether an element shows a commit author known only from git metadata
+function isGitAuthorElement(element) {
+  return element.hasAttribute('data-github-realnames-git-author');
+}
+
+// What an element should show, taking the replacement rules into account.
+// Git authors show their git name, never the profile name of a matching login.
+function getElementDisplayName(element, username) {
+  if (!isReplacementAllowed(element)) return username;
+  if (!isGitAuthorElement(element)) return getDisplayName(username);
+  
+  const record = gitAuthorNames.get(username);
+  return record ? formatDisplayName(displaySettings.format, record.name, username, record.profile) : username;
 }
 
 // Update a single element with real name
 async function updateElement(element) {
+  let username;
+  
   if (processedElements.has(element)) {
     // Element already processed, just update display based on current state
-    const username = element.getAttribute('data-github-realnames-username');
-    if (username) {
-      const realName = nameCache.get(username) || username;
-      updateElementDisplay(element, username, realName);
-    }
+    username = element.getAttribute('data-github-realnames-username');
+    if (!username) return;
+  } else {
+    username = extractUsername(element);
+    if (!username) return;
+    
+    // Mark as processed to avoid redundant work
+    processedElements.add(element);
+    element.setAttribute('data-github-realnames-username', username);
+  }
+  
+  // If disabled or excluded by a rule, just show username and don't fetch
+  if (!isEnabled || !isReplacementAllowed(element)) {
+    updateElementDisplay(element, username, username);
     return;
   }
   
-  const username = extractUsername(element);
-  if (!username) return;
+  // Overrides come first, then this page's cache (instant for repeated logins)
+  if (getOverride(username) || nameCache.has(username)) {
+    updateElementDisplay(element, username, getDisplayName(username));
+  } else {
+    // Cache miss - show username temporarily, then resolve by visibility
+    updateElementDisplay(element, username, username);
+    visibilityObserver.observe(element);
+  }
+}
+
+// Repository and SHA of the commit an author element belongs to
+function getCommitForElement(element) {
+  const row = element.closest(COMMIT_ROW_SELECTORS);
+  const link = row?.querySelector('a[href*="/commit/"], a[href*="/commits/"]');
+  const match = link?.getAttribute('href').match(
+    /^\/([^\/]+\/[^\/]+)\/(?:pull\/\d+\/)?commits?\/([a-f0-9]{7,40})/
+  );
   
-  // Mark as processed to avoid redundant work
-  processedElements.add(element);
-  element.setAttribute('data-github-realnames-username', username);
+  return match ? { repository: match[1], sha: match[2] } : null;
+}
+
+async function requestCommitAuthor({ repository, sha }) {
+  try {
+    return await chrome.runtime.sendMessage({ action: 'resolveCommitAuthor', repository, sha });
+  } catch (error) {
+    console.error(`[GitHub Real Names] Error requesting author of ${sha}:`, error);
+    return null;
+  }
+}
+
+// Update a commit author shown without a user link. When GitHub maps the
+// commit email to an account, the element is handled like any login;
+// otherwise the git author name is shown, marked as coming from git metadata.
+async function updateCommitAuthor(element) {
+  const tracked = element.getAttribute('data-github-realnames-username');
+  const known = isGitAuthorElement(element) ? gitAuthorNames : nameCache;
+  if (tracked && known.has(tracked)) {
+    updateElementDisplay(element, tracked, getElementDisplayName(element, tracked));
+    return;
+  }
   
-  // If disabled, just show username and don't fetch
-  if (!isEnabled) {
-    updateElementDisplay(element, username, username);
+  if (!isEnabled || pendingCommitAuthors.has(element)) return;
+  
+  const commit = getCommitForElement(element);
+  // The identifier shown on the page, kept so it can be matched again
+  const shownText = element.getAttribute('data-github-realnames-display') || element.textContent.trim();
+  if (!commit || !shownText || shownText.length > MAX_USERNAME_LENGTH * 2) return;
+  
+  pendingCommitAuthors.add(element);
+  const author = await requestCommitAuthor(commit);
+  pendingCommitAuthors.delete(element);
+  if (!author) return;
+  
+  element.setAttribute('data-github-realnames-display', shownText);
+  
+  if (author.login) {
+    element.removeAttribute('data-github-realnames-git-author');
+    element.setAttribute('data-github-realnames-username', author.login);
+    processedElements.add(element);
+    await updateElement(element);
     return;
   }
   
-  // Get real name from memory cache first (instant for pre-loaded values)
-  let realName = nameCache.get(username);
+  gitAuthorNames.set(shownText, {
+    name: author.name || shownText,
+    profile: { email: author.email },
+    source: 'git',
+  });
+  element.setAttribute('data-github-realnames-git-author', '');
+  element.setAttribute('data-github-realnames-username', shownText);
+  updateElementDisplay(element, shownText, getElementDisplayName(element, shownText));
+}
+
+// Organisation or team an element links to, with the text the page shows
+// for it ("acme" or "@acme/platform")
+function getOrgTarget(element) {
+  const href = element.getAttribute('href');
+  // Once replaced, the original text is kept on the element
+  const text = element.getAttribute('data-github-realnames-org-label') || element.textContent?.trim();
+  if (!href || !text) return null;
   
-  if (realName) {
-    // Cache hit - update immediately (no delay)
-    updateElementDisplay(element, username, realName);
-    
-    // Check if we should revalidate in background (stale-while-revalidate)
-    const stored = await chrome.storage.local.get(username);
-    if (stored[username]?.timestamp) {
-      revalidateIfStale(username, stored[username].timestamp);
+  const teamMatch = href.match(/^\/orgs\/([^\/?#]+)\/teams\/([^\/?#]+)\/?$/);
+  if (teamMatch) {
+    const [, org, team] = teamMatch;
+    if (!textMatchesUsername(text, `@${org}/${team}`)) return null;
+    return { key: `team:${org}/${team}`, org, team, label: text };
+  }
+  
+  const orgMatch = href.match(/^\/(?:orgs\/)?([^\/?#]+)\/?$/);
+  // Mentions get their "@" back from updateElementDisplay
+  const login = text.replace(/^@/, '');
+  if (orgMatch && textMatchesUsername(login, orgMatch[1])) {
+    return { key: `org:${orgMatch[1]}`, org: orgMatch[1], label: login };
+  }
+  
+  return null;
+}
+
+async function requestOrgName({ key, org, team }) {
+  if (orgNameCache.has(key)) return orgNameCache.get(key);
+  
+  try {
+    const name = await chrome.runtime.sendMessage({ action: 'resolveOrgName', org, team });
+    orgNameCache.set(key, name);
+    return name;
+  } catch (error) {
+    console.error(`[GitHub Real Names] Error requesting name for ${key}:`, error);
+    return null;
+  }
+}
+
+// Update an organisation or team link; it shows the login again when either
+// the extension or organisation names are switched off
+async function updateOrgElement(element) {
+  const target = getOrgTarget(element);
+  if (!target) return;
+  
+  if (!isEnabled || !orgNamesEnabled || !isReplacementAllowed(element)) {
+    if (element.hasAttribute('data-github-realnames-org-label')) {
+      updateElementDisplay(element, target.label, target.label);
     }
-  } else {
-    // Cache miss - show username temporarily, then fetch
-    updateElementDisplay(element, username, username);
+    return;
+  }
+  
+  element.setAttribute('data-github-realnames-org-label', target.label);
+  
+  const name = await requestOrgName(target);
+  updateElementDisplay(element, target.label, name || target.label);
+}
+
+// Route an element to the right updater
+function processElement(element) {
+  if (element.matches(ORG_SELECTORS)) {
+    return updateOrgElement(element);
+  }
+  if (element.matches(COMMIT_AUTHOR_SELECTORS)) {
+    return updateCommitAuthor(element);
+  }
+  return updateElement(element);
+}
+
+// Request names for elements in the viewport first; off-screen elements are
+// queued at low priority and moved up if they scroll into view
+function handleVisibilityChanges(entries) {
+  for (const entry of entries) {
+    const element = entry.target;
     
-    // Check persistent storage first
-    const stored = await chrome.storage.local.get(username);
-    if (stored[username]?.name) {
-      realName = stored[username].name;
-      nameCache.set(username, realName);
-      updateElementDisplay(element, username, realName);
-      
-      // Revalidate if stale
-      if (stored[username].timestamp) {
-        revalidateIfStale(username, stored[username].timestamp);
-      }
-    } else {
-      // Fetch from API
-      realName = await fetchRealName(username);
-      updateElementDisplay(element, username, realName);
+    if (entry.isIntersecting) {
+      visibilityObserver.unobserve(element);
+      resolveElement(element, 'visible');
+    } else if (!requestedOffscreen.has(element)) {
+      requestedOffscreen.add(element);
+      resolveElement(element, 'offscreen');
     }
   }
 }
 
+async function resolveElement(element, priority) {
+  const username = element.getAttribute('data-github-realnames-username');
+  if (!username) return;
+  
+  const record = nameCache.get(username) || await requestRealName(username, priority);
+  nameCache.set(username, record);
+  
+  // Once resolved there is nothing left to prioritise
+  visibilityObserver.unobserve(element);
+  updateElementDisplay(element, username, getElementDisplayName(element, username));
+  
+  // A newly known login may also appear as plain text
+  scheduleTextScan();
+  scheduleDebugScan();
+}
+
 // Find and return all text nodes in an element (excluding nested images/svgs)
 function getTextNodes(element) {
   const textNodes = [];
@@ -392,61 +723,91 @@ function getTextNodes(element) {
   return textNodes;
 }
 
-// Update the visual display of an element by replacing text nodes only
-function updateElementDisplay(element, username, realName) {
+// Update the visual display of an element by replacing text nodes only.
+// The text shown last is kept in data-github-realnames-display so it can be
+// found again when toggling or switching formats.
+function updateElementDisplay(element, username, displayName) {
   const isMention = element.classList.contains('user-mention');
+  const showUsername = !isEnabled || displayName === username;
+  const prefix = isMention && (showUsername || displaySettings.mentionPrefix) ? '@' : '';
+  const displayText = prefix + (showUsername ? username : displayName);
   
   // Find all text nodes in the element
   const textNodes = getTextNodes(element);
+  let matched = textNodes.length === 0;
   
   if (textNodes.length === 0) {
     // Fallback: if no text nodes found, update the whole element
-    if (!isEnabled || realName === username) {
-      element.textContent = isMention ? `@${username}` : username;
-      element.removeAttribute('title');
-    } else {
-      element.textContent = realName;
-      element.title = `@${username}`;
-    }
-    return;
+    element.textContent = displayText;
   }
   
-  // Update each text node that contains the username or real name
+  // Anything we may have shown before: the username or a formatted name
+  // (with or without @), or the text from the previous update
+  const shownText = element.getAttribute('data-github-realnames-display');
+  const candidates = new Set(
+    [username, `@${username}`, displayName, `@${displayName}`, shownText]
+      .filter(Boolean)
+      .map(text => text.toLowerCase())
+  );
+  
+  // Update each text node that contains the username or a displayed name
   textNodes.forEach(textNode => {
     const text = textNode.textContent.trim();
-    const textLower = text.toLowerCase();
-    const usernameLower = username.toLowerCase();
-    const realNameLower = realName.toLowerCase();
-    
-    // Check if this text node contains the username OR real name (with or without @)
-    // We need to check both because we might be toggling from real name back to username
-    const isMatch = textLower === usernameLower || 
-                    textLower === `@${usernameLower}` ||
-                    textLower === realNameLower ||
-                    (isMention && textLower === usernameLower);
+    if (!candidates.has(text.toLowerCase())) return;
     
-    if (isMatch) {
-      // Preserve leading/trailing whitespace
-      const leadingSpace = textNode.textContent.match(/^\s*/)[0];
-      const trailingSpace = textNode.textContent.match(/\s*$/)[0];
-      
-      if (!isEnabled || realName === username) {
-        // Show username
-        const displayText = isMention ? `@${username}` : username;
-        textNode.textContent = leadingSpace + displayText + trailingSpace;
-        element.removeAttribute('title');
-      } else {
-        // Show real name with username in tooltip
-        textNode.textContent = leadingSpace + realName + trailingSpace;
-        element.title = `@${username}`;
-      }
-    }
+    // Preserve leading/trailing whitespace
+    const leadingSpace = textNode.textContent.match(/^\s*/)[0];
+    const trailingSpace = textNode.textContent.match(/\s*$/)[0];
+    textNode.textContent = leadingSpace + displayText + trailingSpace;
+    matched = true;
   });
+  
+  if (!matched) return;
+  
+  // The login and profile details are shown by the hover card (hovercard.js)
+  element.setAttribute('data-github-realnames-display', displayText);
+}
+
+// Processed element a text node or element belongs to, if any
+function getProcessedElement(node) {
+  const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+  return element?.closest(PROCESSED_SELECTORS) || null;
+}
+
+// Whether the page rewrote a processed element's text since we last updated
+// it. Our own updates leave the shown text in data-github-realnames-display.
+function isRewritten(element) {
+  const shownText = element.getAttribute('data-github-realnames-display');
+  if (shownText === null) return false;
+  
+  return !getTextNodes(element).some(node => node.textContent.trim() === shownText);
+}
+
+// Forget a processed element whose login may have changed (Turbo and React
+// reuse nodes and only rewrite their text or href), so it is extracted and
+// resolved again. When only the link changed, the original text is put back
+// first: the name shown belonged to the old login.
+function resetProcessedElement(element) {
+  const original = element.getAttribute('data-github-realnames-org-label') ||
+                   element.getAttribute('data-github-realnames-username');
+  if (original && !isRewritten(element)) {
+    updateElementDisplay(element, original, original);
+  }
+  
+  processedElements.delete(element);
+  requestedOffscreen.delete(element);
+  pendingCommitAuthors.delete(element);
+  rejectedElements.delete(element);
+  visibilityObserver.unobserve(element);
+  element.removeAttribute('data-github-realnames-username');
+  element.removeAttribute('data-github-realnames-display');
+  element.removeAttribute('data-github-realnames-org-label');
+  element.removeAttribute('data-github-realnames-git-author');
 }
 
 // Process all username elements on the page
 async function processPage() {
-  const elements = document.querySelectorAll(USERNAME_SELECTORS);
+  const elements = document.querySelectorAll(trackedSelectors);
   
   if (elements.length === 0) return;
   
@@ -458,7 +819,7 @@ async function processPage() {
     const batch = elementsArray.slice(i, i + BATCH_SIZE);
     
     // Process batch without awaiting - let them run in parallel
-    batch.forEach(el => updateElement(el));
+    batch.forEach(el => processElement(el));
     
     // Yield to browser between batches using requestIdleCallback if available
     if (i + BATCH_SIZE < elementsArray.length) {
@@ -471,54 +832,88 @@ async function processPage() {
       });
     }
   }
+  
+  scheduleDebugScan();
 }
 
 // Toggle between real names and usernames
 async function toggleDisplay() {
   // First, update all already-tracked elements
-  const elementsToToggle = document.querySelectorAll('[data-github-realnames-username]');
-  console.log(`[GitHub Real Names] Toggling ${elementsToToggle.length} elements. Enabled: ${isEnabled}`);
-  
-  elementsToToggle.forEach(element => {
-    const username = element.getAttribute('data-github-realnames-username');
-    const realName = nameCache.get(username) || username;
-    updateElementDisplay(element, username, realName);
-  });
+  console.log(`[GitHub Real Names] Toggling tracked elements. Enabled: ${isEnabled}`);
+  redisplayAll();
   
   // Then re-process the entire page to catch any elements that weren't tracked
   // (This ensures any dynamically loaded content is also toggled)
   await processPage();
+  scheduleTextScan();
 }
 
-// Set up MutationObserver to watch for new content
+// Set up MutationObserver to watch for new content, and for processed
+// elements the page rewrites in place
 function setupObserver() {
   let debounceTimer = null;
   let pendingElements = new Set();
+  // Processed elements whose link changed, or whose text may have
+  const relinkedElements = new Set();
+  const rewrittenElements = new Set();
   
   const processPendingElements = () => {
+    relinkedElements.forEach(element => {
+      resetProcessedElement(element);
+      pendingElements.add(element);
+    });
+    rewrittenElements.forEach(element => {
+      // Most text changes are our own updates
+      if (relinkedElements.has(element) || !element.isConnected || !isRewritten(element)) return;
+      
+      resetProcessedElement(element);
+      pendingElements.add(element);
+    });
+    relinkedElements.clear();
+    rewrittenElements.clear();
+    
     if (pendingElements.size === 0) return;
     
     const elements = Array.from(pendingElements);
     pendingElements.clear();
     
     // Process elements asynchronously - they will respect isEnabled state
-    elements.forEach(el => updateElement(el));
+    elements.forEach(el => processElement(el));
   };
   
   const observer = new MutationObserver((mutations) => {
     // Always track elements, but updateElement() will respect isEnabled state
     for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        // A link pointed somewhere else; our code never changes an href
+        const element = mutation.target;
+        if (element.matches(PROCESSED_SELECTORS)) {
+          if (mutation.oldValue !== element.getAttribute('href')) relinkedElements.add(element);
+        } else if (element.matches(trackedSelectors)) {
+          pendingElements.add(element);
+        }
+        continue;
+      }
+      
+      // Text changed inside a processed element
+      const processed = getProcessedElement(mutation.target);
+      if (processed) {
+        rewrittenElements.add(processed);
+      }
+      
       for (const node of mutation.addedNodes) {
         if (node.nodeType === Node.ELEMENT_NODE) {
           // Check if the node itself matches
-          if (node.matches?.(USERNAME_SELECTORS)) {
+          if (node.matches?.(trackedSelectors)) {
             pendingElements.add(node);
           }
           // Check for matching children
-          const children = node.querySelectorAll?.(USERNAME_SELECTORS);
+          const children = node.querySelectorAll?.(trackedSelectors);
           if (children) {
             children.forEach(child => pendingElements.add(child));
           }
+          // The @-mention suggester is inserted as you type (mentions.js)
+          decorateSuggestions(node);
         }
       }
     }
@@ -526,49 +921,190 @@ function setupObserver() {
     // Debounce processing to avoid excessive updates
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(processPendingElements, DEBOUNCE_DELAY);
+    
+    // New text may hold plain-text logins (textscan.js)
+    scheduleTextScan();
+    scheduleDebugScan();
   });
   
   observer.observe(document.body, {
     childList: true,
     subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: ['href'],
+    attributeOldValue: true,
   });
   
+  pageObserver = observer;
+  observedBody = document.body;
   return observer;
 }
 
-// Pre-load cache from storage into memory for instant lookups
-async function preloadCache() {
-  try {
-    const items = await chrome.storage.local.get(null);
-    const protectedKeys = new Set(['enabled', 'githubToken', 'rateLimitData']);
+// After a soft navigation, process the new content. Turbo can swap <body>
+// for a new element, which the observer would no longer see.
+function handleNavigation() {
+  if (!pageObserver) return;
+  
+  if (observedBody !== document.body) {
+    pageObserver.disconnect();
+    setupObserver();
+  }
+  
+  processPage();
+  scheduleTextScan();
+}
+
+// Logins tagged on this page, for the popup's "this page only" refresh.
+// Commit authors known only from git metadata have no login to refresh.
+function getPageLogins() {
+  const logins = new Set();
+  document.querySelectorAll('[data-github-realnames-username]').forEach(element => {
+    if (!isGitAuthorElement(element)) logins.add(element.getAttribute('data-github-realnames-username'));
+  });
+  return Array.from(logins);
+}
+
+// Apply names the background resolver changed (e.g. after revalidation)
+function applyUpdatedNames(records) {
+  for (const [username, record] of Object.entries(records)) {
+    if (!nameCache.has(username)) continue;
     
-    for (const key in items) {
-      if (!protectedKeys.has(key) && items[key]?.name) {
-        nameCache.set(key, items[key].name);
-      }
-    }
+    nameCache.set(username, record);
+    redisplayUsername(username);
+  }
+  
+  scheduleTextScan();
+}
+
+function redisplayUsername(username) {
+  const elements = document.querySelectorAll(
+    `[data-github-realnames-username="${CSS.escape(username)}"]`
+  );
+  elements.forEach(element => {
+    updateElementDisplay(element, username, getElementDisplayName(element, username));
+  });
+}
+
+// Re-render every tracked element, e.g. after the display format changed
+function redisplayAll() {
+  document.querySelectorAll('[data-github-realnames-username]').forEach(element => {
+    const username = element.getAttribute('data-github-realnames-username');
+    updateElementDisplay(element, username, getElementDisplayName(element, username));
+  });
+}
+
+// Re-render logins whose override was added, changed or removed
+function applyOverrides(newOverrides) {
+  const oldOverrides = nameOverrides;
+  nameOverrides = newOverrides;
+  
+  const logins = new Set([...Object.keys(oldOverrides), ...Object.keys(newOverrides)]);
+  document.querySelectorAll('[data-github-realnames-username]').forEach(element => {
+    const username = element.getAttribute('data-github-realnames-username');
+    const login = username.toLowerCase();
+    if (!logins.has(login) || oldOverrides[login] === newOverrides[login]) return;
     
-    console.log(`[GitHub Real Names] Pre-loaded ${nameCache.size} cached names into memory`);
-  } catch (error) {
-    console.error('[GitHub Real Names] Error pre-loading cache:', error);
+    updateElementDisplay(element, username, getElementDisplayName(element, username));
+  });
+  
+  scheduleTextScan();
+}
+
+// Which rules apply on this page, for the popup preview
+function getRuleMatch() {
+  const contexts = {};
+  document.querySelectorAll('[data-github-realnames-username]').forEach(element => {
+    const context = getReplacementContext(element);
+    contexts[context] = (contexts[context] || 0) + 1;
+  });
+  
+  return {
+    repository: getRepository(),
+    repositoryRule: getRepositoryRule(),
+    pageContext: getReplacementContext(null),
+    contexts,
+  };
+}
+
+// Forget every name this page resolved and put the logins back, then extract
+// and resolve the page again, e.g. after the directory or the token changed.
+// Replaced elements no longer show their login, so they have to be reset
+// before they can be extracted again.
+function refreshNames() {
+  nameCache.clear();
+  orgNameCache.clear();
+  
+  // Plain-text logins are wrapped again by the next text scan (textscan.js)
+  unwrapTextLogins();
+  document.querySelectorAll(PROCESSED_SELECTORS).forEach(resetProcessedElement);
+  processedElements = new WeakSet();
+  
+  return processPage();
+}
+
+// Put logins back on elements no extractor looks at anymore, and process
+// the elements newly switched-on extractors find
+function applyExtractorSettings(settings) {
+  extractorSettings = settings;
+  trackedSelectors = buildTrackedSelectors();
+  
+  document.querySelectorAll('[data-github-realnames-username]').forEach(element => {
+    // Text scanning wraps its logins itself (textscan.js)
+    if (element.classList.contains('github-realnames-text') || element.matches(trackedSelectors)) return;
+    resetProcessedElement(element);
+  });
+  
+  processPage();
+}
+
+// Ask for a new display name for the right-clicked login (empty removes it)
+async function editOverride() {
+  const username = contextMenuElement?.getAttribute('data-github-realnames-username');
+  if (!username) return;
+  
+  const current = getOverride(username) || nameCache.get(username)?.name || '';
+  const name = prompt(`Display name for @${username} (leave empty to remove the override):`, current);
+  if (name === null) return;
+  
+  const { nameOverrides: stored = {} } = await chrome.storage.local.get('nameOverrides');
+  if (name.trim()) {
+    stored[username.toLowerCase()] = name.trim();
+  } else {
+    delete stored[username.toLowerCase()];
   }
+  
+  // The storage listener re-renders the affected elements
+  await chrome.storage.local.set({ nameOverrides: stored });
 }
 
 // Initialize the extension
 async function init() {
   // Load enabled state from storage
-  const { enabled = true } = await chrome.storage.local.get('enabled');
+  const {
+    enabled = true,
+    nameOverrides: overrides = {},
+    displaySettings: display = {},
+    replacementRules: rules = {},
+    orgNames = false,
+    extractorSettings: extractors = {},
+  } = await chrome.storage.local.get([
+    'enabled', 'nameOverrides', 'displaySettings', 'replacementRules', 'orgNames', 'extractorSettings',
+  ]);
   isEnabled = enabled;
-  
-  // Pre-load all cached names into memory for instant updates
-  await preloadCache();
+  nameOverrides = overrides;
+  displaySettings = { ...DEFAULT_DISPLAY_SETTINGS, ...display };
+  replacementRules = { ...DEFAULT_REPLACEMENT_RULES, ...rules };
+  orgNamesEnabled = orgNames;
+  extractorSettings = extractors;
+  trackedSelectors = buildTrackedSelectors();
   
   // Wait for body to exist before setting up observer
   const startProcessing = () => {
     // Set up observer for dynamic content
     setupObserver();
     
-    // Process page immediately (cache is already loaded)
+    // Process page immediately
     setTimeout(() => processPage(), INITIAL_DELAY);
   };
   
@@ -588,7 +1124,7 @@ async function init() {
   console.log('[GitHub Real Names] Extension initialized');
 }
 
-// Listen for messages from popup
+// Listen for messages from popup and background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'toggle') {
     console.log(`[GitHub Real Names] Received toggle message. New state: ${message.enabled}`);
@@ -601,16 +1137,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: false, error: error.message });
     });
     return true; // Keep message channel open for async response
+  } else if (message.action === 'namesUpdated') {
+    applyUpdatedNames(message.names);
+  } else if (message.action === 'editOverride') {
+    editOverride();
   } else if (message.action === 'getState') {
-    sendResponse({ enabled: isEnabled });
+    sendResponse({ enabled: isEnabled, debug: debugMode });
+  } else if (message.action === 'setDebugMode') {
+    setDebugMode(message.enabled);
+    sendResponse({ debug: debugMode });
+  } else if (message.action === 'getDebugReport') {
+    sendResponse(getDebugReport());
+  } else if (message.action === 'getRuleMatch') {
+    sendResponse(getRuleMatch());
+  } else if (message.action === 'getPageLogins') {
+    sendResponse(getPageLogins());
   } else if (message.action === 'refreshCache') {
     console.log(`[GitHub Real Names] Refreshing cache and re-fetching all names`);
-    // Clear in-memory name cache to force re-fetch
-    nameCache.clear();
-    // Clear processed elements to re-process everything
-    processedElements = new WeakSet();
-    // Re-process the page
-    processPage().then(() => {
+    refreshNames().then(() => {
       sendResponse({ success: true });
     });
     return true; // Keep message channel open for async response
@@ -618,7 +1162,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return false;
 });
 
-// Start the extension immediately to pre-load cache ASAP
+// Overrides are edited from the options page and the context menu, the
+// other settings from the options page
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local') return;
+  
+  if (changes.nameOverrides) {
+    applyOverrides(changes.nameOverrides.newValue || {});
+  }
+  if (changes.displaySettings) {
+    displaySettings = { ...DEFAULT_DISPLAY_SETTINGS, ...changes.displaySettings.newValue };
+    redisplayAll();
+  }
+  if (changes.replacementRules) {
+    replacementRules = { ...DEFAULT_REPLACEMENT_RULES, ...changes.replacementRules.newValue };
+    // Elements that became allowed may still need their name fetched
+    toggleDisplay();
+  }
+  if (changes.orgNames) {
+    orgNamesEnabled = !!changes.orgNames.newValue;
+    processPage();
+  }
+  if (changes.extractorSettings) {
+    applyExtractorSettings(changes.extractorSettings.newValue || {});
+  }
+});
+
+// One navigation fires several of these events; handle it once
+NAVIGATION_EVENTS.forEach(eventName => document.addEventListener(eventName, () => {
+  clearTimeout(navigationTimer);
+  navigationTimer = setTimeout(handleNavigation, DEBOUNCE_DELAY);
+}));
+
+// Remember which processed element the context menu was opened on
+document.addEventListener('contextmenu', (event) => {
+  // Git authors have no login to set a display name for
+  contextMenuElement = event.target.closest?.(
+    '[data-github-realnames-username]:not([data-github-realnames-git-author])'
+  ) || null;
+}, true);
+
+// Start the extension immediately
 console.log('[GitHub Real Names] Content script loaded');
 init();
 
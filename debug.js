@@ -0,0 +1,201 @@
+'use strict';
+
+// Debug mode (loaded after content.js), turned on per tab from the popup
+// Outlines every element the extension looks at: green when processed,
+// amber while its name is pending, red when no login was found in it. The
+// reason shows on hover, and the popup copies a JSON report of the misses
+// for bug reports. The mode survives reloads of the tab (sessionStorage).
+
+const DEBUG_SCAN_DELAY = 300; // Debounce between scans
+const DEBUG_STORAGE_KEY = 'github-realnames-debug';
+const DEBUG_TEXT_LIMIT = 100; // Characters of text kept per miss in reports
+const DEBUG_HTML_LIMIT = 500; // Characters of markup kept per miss in reports
+
+let debugMode = sessionStorage.getItem(DEBUG_STORAGE_KEY) === 'on';
+let debugScanTimer = null;
+let debugStyle = null;
+// Elements marked by the last scan
+let debugMarkedElements = new Set();
+
+function createDebugStyle() {
+  const style = document.createElement('style');
+  style.textContent = `
+    [data-github-realnames-debug] {
+      outline-offset: 1px;
+    }
+    
+    [data-github-realnames-debug="processed"] {
+      outline: 2px solid #1a7f37;
+    }
+    
+    [data-github-realnames-debug="pending"] {
+      outline: 2px dashed #bf8700;
+    }
+    
+    [data-github-realnames-debug="rejected"] {
+      outline: 2px solid #cf222e;
+    }
+  `;
+  (document.head || document.documentElement).appendChild(style);
+  
+  return style;
+}
+
+// Everything the extension looks at: tracked elements, and logins text
+// scanning wrapped (textscan.js)
+function getDebugElements() {
+  if (!document.body || !trackedSelectors) return [];
+  return Array.from(document.body.querySelectorAll(`${trackedSelectors}, [data-github-realnames-username]`));
+}
+
+// { state, reason } of an element; state is processed, pending or rejected
+function getDebugState(element) {
+  if (element.matches(ORG_SELECTORS)) {
+    if (element.hasAttribute('data-github-realnames-org-label')) {
+      return { state: 'processed', reason: 'organisation or team name' };
+    }
+    if (!orgNamesEnabled) return { state: 'rejected', reason: 'organisation names are switched off' };
+    if (!getOrgTarget(element)) return { state: 'rejected', reason: 'text does not match the organisation link' };
+    return { state: 'pending', reason: 'waiting for the organisation name' };
+  }
+  
+  const username = element.getAttribute('data-github-realnames-username');
+  if (username) {
+    if (!isEnabled) return { state: 'processed', reason: `@${username}, real names are switched off` };
+    if (!isReplacementAllowed(element)) {
+      const repositoryRule = getRepositoryRule();
+      const reason = repositoryRule && !repositoryRule.enabled
+        ? `switched off for ${repositoryRule.pattern}`
+        : `switched off in ${getReplacementContext(element)} context`;
+      return { state: 'rejected', reason: `@${username}, ${reason}` };
+    }
+    
+    if (isGitAuthorElement(element)) {
+      return gitAuthorNames.has(username)
+        ? { state: 'processed', reason: `${username}, from git commit metadata` }
+        : { state: 'pending', reason: 'looking up the commit author' };
+    }
+    if (getOverride(username)) return { state: 'processed', reason: `@${username}, display name override` };
+    
+    const record = nameCache.get(username);
+    if (!record) return { state: 'pending', reason: `@${username}, waiting for the name` };
+    if (record.name === username) return { state: 'processed', reason: `@${username}, no name found` };
+    return { state: 'processed', reason: `@${username}, from ${record.source || 'profile'}` };
+  }
+  
+  if (element.matches(COMMIT_AUTHOR_SELECTORS)) {
+    if (pendingCommitAuthors.has(element)) return { state: 'pending', reason: 'looking up the commit author' };
+    if (!getCommitForElement(element)) return { state: 'rejected', reason: 'no commit link next to the author' };
+    return { state: 'rejected', reason: 'commit author not found' };
+  }
+  
+  if (rejectedElements.has(element)) {
+    return { state: 'rejected', reason: rejectedElements.get(element) };
+  }
+  return { state: 'pending', reason: 'not processed yet' };
+}
+
+// Outline an element and put the reason in its tooltip, keeping the page's
+// own title to put back
+function markDebugElement(element, { state, reason }) {
+  if (!element.hasAttribute('data-github-realnames-debug')) {
+    const title = element.getAttribute('title');
+    if (title !== null) element.setAttribute('data-github-realnames-title', title);
+  }
+  
+  element.setAttribute('data-github-realnames-debug', state);
+  element.setAttribute('title', `GitHub Real Names: ${state} (${reason})`);
+}
+
+function unmarkDebugElement(element) {
+  const title = element.getAttribute('data-github-realnames-title');
+  if (title !== null) {
+    element.setAttribute('title', title);
+  } else {
+    element.removeAttribute('title');
+  }
+  
+  element.removeAttribute('data-github-realnames-debug');
+  element.removeAttribute('data-github-realnames-title');
+}
+
+function scheduleDebugScan() {
+  if (!debugMode) return;
+  
+  clearTimeout(debugScanTimer);
+  debugScanTimer = setTimeout(scanDebugElements, DEBUG_SCAN_DELAY);
+}
+
+function scanDebugElements() {
+  if (!debugMode) return;
+  
+  if (!debugStyle) {
+    debugStyle = createDebugStyle();
+  }
+  
+  const marked = new Set();
+  for (const element of getDebugElements()) {
+    markDebugElement(element, getDebugState(element));
+    marked.add(element);
+  }
+  
+  // Elements no longer looked at, e.g. after an extractor was switched off
+  debugMarkedElements.forEach(element => {
+    if (!marked.has(element)) unmarkDebugElement(element);
+  });
+  debugMarkedElements = marked;
+}
+
+function setDebugMode(enabled) {
+  debugMode = !!enabled;
+  
+  if (debugMode) {
+    sessionStorage.setItem(DEBUG_STORAGE_KEY, 'on');
+    scanDebugElements();
+    return;
+  }
+  
+  sessionStorage.removeItem(DEBUG_STORAGE_KEY);
+  clearTimeout(debugScanTimer);
+  debugMarkedElements.forEach(unmarkDebugElement);
+  debugMarkedElements = new Set();
+  debugStyle?.remove();
+  debugStyle = null;
+}
+
+// Pending and rejected elements of the page with what was active, for the
+// popup to copy
+function getDebugReport() {
+  const counts = { processed: 0, pending: 0, rejected: 0 };
+  const misses = [];
+  
+  for (const element of getDebugElements()) {
+    const { state, reason } = getDebugState(element);
+    counts[state]++;
+    if (state === 'processed') continue;
+    
+    misses.push({
+      state,
+      reason,
+      text: element.textContent.trim().slice(0, DEBUG_TEXT_LIMIT),
+      href: element.getAttribute('href'),
+      extractors: USERNAME_EXTRACTORS
+        .filter(extractor => element.matches(extractor.selector))
+        .map(extractor => extractor.id),
+      html: element.outerHTML.slice(0, DEBUG_HTML_LIMIT),
+    });
+  }
+  
+  return {
+    url: location.href,
+    createdAt: new Date().toISOString(),
+    version: chrome.runtime.getManifest().version,
+    userAgent: navigator.userAgent,
+    enabled: isEnabled,
+    activeExtractors: USERNAME_EXTRACTORS.filter(isExtractorActive).map(extractor => extractor.id),
+    pageContext: getReplacementContext(null),
+    repositoryRule: getRepositoryRule(),
+    counts,
+    misses,
+  };
+}
@@ -0,0 +1,207 @@
+'use strict';
+
+// Team directory, loaded by the background service worker.
+// A roster mapping logins to people, read from a JSON or CSV file at a URL
+// or in a repository (through the contents API). Directory names win over
+// profile names, so colleagues who left their profile name blank still show
+// up by name. An alarm refreshes it on a schedule.
+//
+// The source setting (`directorySource`) is either a URL, such as
+// "https://intranet.example.com/people.csv" or "http://localhost:8000/people.json",
+// or a repository file written "owner/repo:path/to/people.csv@branch".
+
+const DIRECTORY_ALARM = 'refreshDirectory';
+const DIRECTORY_REFRESH_MINUTES = 6 * 60;
+// Columns copied into the profile shown by the hover card
+const DIRECTORY_PROFILE_FIELDS = ['company', 'location', 'pronouns', 'timezone', 'email'];
+
+// lowercase login -> { name, profile }, mirrored from storage
+let directoryEntries = null;
+
+async function loadDirectory() {
+  if (directoryEntries) return;
+  
+  const { directory } = await chrome.storage.local.get('directory');
+  directoryEntries = directory?.entries || {};
+}
+
+// Record for a login listed in the directory, or null
+async function getDirectoryRecord(username) {
+  await loadDirectory();
+  
+  const entry = directoryEntries[username.toLowerCase()];
+  return entry ? { name: entry.name, profile: entry.profile, source: 'directory' } : null;
+}
+
+// URL and headers to fetch a directory source with
+function getDirectoryRequest(source, { apiUrl, token }) {
+  if (/^https?:\/\//.test(source)) {
+    return { url: source, headers: {} };
+  }
+  
+  const match = source.match(/^([\w.-]+)\/([\w.-]+):([^@]+)(?:@(.+))?$/);
+  if (!match) return null;
+  
+  const [, owner, repo, path, ref] = match;
+  const query = ref ? `?ref=${encodeURIComponent(ref)}` : '';
+  
+  return {
+    url: `${apiUrl}/repos/${owner}/${repo}/contents/${path}${query}`,
+    // Ask for the file itself rather than base64 in a JSON wrapper
+    headers: { ...buildHeaders(token), 'Accept': 'application/vnd.github.raw+json' },
+  };
+}
+
+// Rows of a CSV file as objects keyed by the lowercased header names
+function parseCsv(text) {
+  const lines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      lines.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  lines.push(row);
+  
+  const [header = [], ...records] = lines.filter(fields => fields.some(value => value.trim()));
+  const columns = header.map(column => column.trim().toLowerCase());
+  
+  return records.map(fields => Object.fromEntries(columns.map((column, i) => [column, fields[i]?.trim()])));
+}
+
+// JSON may be a list of rows, or an object mapping logins to a name or a row
+function jsonRows(data) {
+  if (Array.isArray(data)) return data;
+  
+  if (typeof data === 'object' && data !== null) {
+    return Object.entries(data).map(([login, value]) =>
+      typeof value === 'string' ? { login, name: value } : { ...value, login }
+    );
+  }
+  
+  throw new Error('Expected a list of people or an object keyed by login');
+}
+
+function parseDirectory(text, isCsv) {
+  const rows = isCsv ? parseCsv(text) : jsonRows(JSON.parse(text));
+  const entries = {};
+  
+  for (const row of rows) {
+    const login = String(row.login || '').trim().replace(/^@/, '').toLowerCase();
+    const name = String(row.name || '').trim();
+    if (!login || !name) continue;
+    
+    const profile = {};
+    DIRECTORY_PROFILE_FIELDS.forEach(field => {
+      if (row[field]) profile[field] = String(row[field]);
+    });
+    
+    entries[login] = { name, profile };
+  }
+  
+  return entries;
+}
+
+// Fetch the directory again. On failure the last good copy is kept and the
+// error is stored for the popup to show. `changed` tells whether any name did.
+async function refreshDirectory() {
+  const { directorySource, directory = {} } = await chrome.storage.local.get(['directorySource', 'directory']);
+  const previous = JSON.stringify(directory.entries || {});
+  
+  if (!directorySource) {
+    directoryEntries = {};
+    await chrome.storage.local.remove('directory');
+    return { count: 0, error: null, changed: previous !== '{}' };
+  }
+  
+  try {
+    const request = getDirectoryRequest(directorySource, await getApiProfile());
+    if (!request) {
+      throw new Error('Use a URL or owner/repo:path/to/file');
+    }
+    
+    const response = await fetch(request.url, { headers: request.headers, cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`The directory source answered HTTP ${response.status}`);
+    }
+    
+    const isCsv = /\.csv($|[?@#])/i.test(directorySource) ||
+                  (response.headers.get('Content-Type') || '').includes('csv');
+    const entries = parseDirectory(await response.text(), isCsv);
+    
+    directoryEntries = entries;
+    await chrome.storage.local.set({
+      directory: { source: directorySource, entries, fetchedAt: Date.now(), error: null },
+    });
+    
+    console.log(`[GitHub Real Names] Loaded ${Object.keys(entries).length} people from the directory`);
+    return { count: Object.keys(entries).length, error: null, changed: JSON.stringify(entries) !== previous };
+  } catch (error) {
+    console.error('[GitHub Real Names] Error loading directory:', error);
+    
+    await chrome.storage.local.set({ directory: { ...directory, error: error.message } });
+    return { count: Object.keys(directory.entries || {}).length, error: error.message, changed: false };
+  }
+}
+
+// Reload open tabs' names so they pick up directory changes
+async function refreshTabsFromDirectory({ changed }) {
+  if (!changed) return;
+  
+  const tabs = await chrome.tabs.query({ url: 'https://github.com/*' });
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'refreshCache' });
+    } catch (error) {
+      // Tab might not have content script loaded yet
+    }
+  }
+}
+
+// Alarms can be cleared by browser restarts and updates, so make sure one exists
+async function scheduleDirectoryRefresh() {
+  const alarm = await chrome.alarms.get(DIRECTORY_ALARM);
+  if (!alarm) {
+    chrome.alarms.create(DIRECTORY_ALARM, { periodInMinutes: DIRECTORY_REFRESH_MINUTES });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === DIRECTORY_ALARM) {
+    refreshDirectory().then(refreshTabsFromDirectory);
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.directorySource) {
+    refreshDirectory().then(refreshTabsFromDirectory);
+  }
+});
+
+scheduleDirectoryRefresh();
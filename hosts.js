@@ -0,0 +1,95 @@
+'use strict';
+
+// GitHub hosts, shared by the background service worker, the popup and the
+// options page. github.com is always there; GitHub Enterprise Server hosts are
+// added on the options page, each with its own API URL, token and cache.
+//
+// Cache entries, queued lookups and failed lookups of an Enterprise host are
+// keyed "<login>#<host>", so they never mix with github.com's. github.com keys
+// keep no suffix, which leaves caches from older versions valid.
+
+const DEFAULT_HOST = 'github.com';
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Enterprise Server serves its REST API under /api/v3 unless told otherwise
+function defaultApiUrl(host) {
+  return host === DEFAULT_HOST ? DEFAULT_API_URL : `https://${host}/api/v3`;
+}
+
+// GraphQL lives next to the REST API: /graphql on api.github.com (and
+// mock servers), /api/graphql on Enterprise Server
+function getGraphqlUrl(apiUrl) {
+  return /\/v3\/?$/.test(apiUrl) ? apiUrl.replace(/\/v3\/?$/, '/graphql') : `${apiUrl}/graphql`;
+}
+
+// { host, apiUrl, graphqlUrl, token } for a host, or null if it is not configured.
+// github.com's token stays in `githubToken`; Enterprise tokens are in `hostTokens`.
+// `githubApiUrl` points github.com lookups at another server, such as a
+// local mock of the API.
+async function getHostProfile(host = DEFAULT_HOST) {
+  const { githubToken, githubApiUrl, hostProfiles = {}, hostTokens = {} } =
+    await chrome.storage.local.get(['githubToken', 'githubApiUrl', 'hostProfiles', 'hostTokens']);
+  
+  if (host === DEFAULT_HOST) {
+    const apiUrl = githubApiUrl || DEFAULT_API_URL;
+    return { host, apiUrl, graphqlUrl: getGraphqlUrl(apiUrl), token: githubToken };
+  }
+  
+  const profile = hostProfiles[host];
+  if (!profile) return null;
+  
+  return { host, apiUrl: profile.apiUrl, graphqlUrl: getGraphqlUrl(profile.apiUrl), token: hostTokens[host] };
+}
+
+// Key for a login (or commit, org or team key) on a host
+function hostKey(key, host = DEFAULT_HOST) {
+  return host === DEFAULT_HOST ? key : `${key}#${host}`;
+}
+
+// Split a key made by hostKey into { key, host }
+function parseHostKey(key) {
+  const index = key.lastIndexOf('#');
+  return index === -1
+    ? { key, host: DEFAULT_HOST }
+    : { key: key.slice(0, index), host: key.slice(index + 1) };
+}
+
+// Host of a page URL, github.com when there is none
+function getUrlHost(url) {
+  try {
+    return new URL(url).host || DEFAULT_HOST;
+  } catch (error) {
+    return DEFAULT_HOST;
+  }
+}
+
+// Page URL patterns of every configured host
+async function getHostPatterns() {
+  const { hostProfiles = {} } = await chrome.storage.local.get('hostProfiles');
+  return [DEFAULT_HOST, ...Object.keys(hostProfiles)].map(host => `https://${host}/*`);
+}
+
+// Open tabs on any configured host
+async function queryGitHubTabs() {
+  return chrome.tabs.query({ url: await getHostPatterns() });
+}
+
+// Build request headers, including auth when a token is configured
+function buildHeaders(githubToken) {
+  const headers = {
+    'Accept': 'application/vnd.github.v3+json',
+  };
+  
+  if (githubToken) {
+    // Use correct auth format based on token type
+    // Classic tokens (ghp_): use "token" prefix
+    // Fine-grained tokens (github_pat_): use "Bearer" prefix
+    if (githubToken.startsWith('github_pat_')) {
+      headers['Authorization'] = `Bearer ${githubToken}`;
+    } else {
+      headers['Authorization'] = `token ${githubToken}`;
+    }
+  }
+  
+  return headers;
+}
@@ -0,0 +1,141 @@
+'use strict';
+
+// Hover card for processed elements (loaded after content.js)
+// Shows the display name, login and cached profile fields. Everything comes
+// from the page's nameCache, so hovering never triggers a request.
+
+const HOVERCARD_DELAY = 300; // Hover time before the card appears
+const HOVERCARD_OFFSET = 8; // Gap between the element and the card
+
+let hovercard = null;
+let hovercardTarget = null;
+let hovercardTimer = null;
+
+function createHovercard() {
+  const style = document.createElement('style');
+  style.textContent = `
+    #github-realnames-hovercard {
+      position: absolute;
+      z-index: 1000;
+      max-width: 280px;
+      padding: 8px 12px;
+      font-size: 12px;
+      line-height: 1.5;
+      color: var(--fgColor-default, #24292f);
+      background: var(--overlay-bgColor, #ffffff);
+      border: 1px solid var(--borderColor-default, #d0d7de);
+      border-radius: 6px;
+      box-shadow: 0 8px 24px rgba(140, 149, 159, 0.2);
+      pointer-events: none;
+    }
+    
+    #github-realnames-hovercard .grn-name {
+      font-size: 14px;
+      font-weight: 600;
+    }
+    
+    #github-realnames-hovercard .grn-login,
+    #github-realnames-hovercard .grn-detail {
+      color: var(--fgColor-muted, #57606a);
+    }
+  `;
+  document.head.appendChild(style);
+  
+  const card = document.createElement('div');
+  card.id = 'github-realnames-hovercard';
+  card.hidden = true;
+  document.body.appendChild(card);
+  
+  return card;
+}
+
+// Current time in the person's time zone, if the profile has one
+function formatLocalTime(timeZone) {
+  try {
+    const time = new Intl.DateTimeFormat([], { timeZone, hour: '2-digit', minute: '2-digit' }).format(new Date());
+    return `${time} local time`;
+  } catch (error) {
+    // Unknown time zone
+    return null;
+  }
+}
+
+function renderHovercard(element) {
+  const username = element.getAttribute('data-github-realnames-username');
+  const record = (isGitAuthorElement(element) ? gitAuthorNames : nameCache).get(username);
+  const profile = record?.profile || {};
+  const displayName = isGitAuthorElement(element) ? getElementDisplayName(element, username) : getDisplayName(username);
+  
+  const lines = [];
+  const addLine = (className, text) => {
+    const line = document.createElement('div');
+    line.className = className;
+    line.textContent = text;
+    lines.push(line);
+  };
+  
+  if (displayName !== username) {
+    addLine('grn-name', displayName);
+  }
+  
+  // Commit authors without a GitHub account have no login, only git metadata
+  if (record?.source === 'git') {
+    if (profile.email) addLine('grn-login', profile.email);
+    addLine('grn-detail', 'From git commit metadata');
+    hovercard.replaceChildren(...lines);
+    return;
+  }
+  
+  addLine('grn-login', profile.pronouns ? `@${username} · ${profile.pronouns}` : `@${username}`);
+  
+  if (profile.company) addLine('grn-detail', profile.company);
+  if (profile.location) addLine('grn-detail', profile.location);
+  
+  const localTime = profile.timezone && formatLocalTime(profile.timezone);
+  if (localTime) addLine('grn-detail', localTime);
+  
+  if (record?.source === 'directory') addLine('grn-detail', 'source: directory');
+  
+  hovercard.replaceChildren(...lines);
+}
+
+function showHovercard(element) {
+  if (!hovercard) {
+    hovercard = createHovercard();
+  }
+  
+  renderHovercard(element);
+  
+  const rect = element.getBoundingClientRect();
+  hovercard.style.top = `${rect.bottom + window.scrollY + HOVERCARD_OFFSET}px`;
+  hovercard.style.left = `${rect.left + window.scrollX}px`;
+  hovercard.hidden = false;
+}
+
+function hideHovercard() {
+  clearTimeout(hovercardTimer);
+  hovercardTarget = null;
+  if (hovercard) {
+    hovercard.hidden = true;
+  }
+}
+
+document.addEventListener('mouseover', (event) => {
+  const element = event.target.closest?.('[data-github-realnames-username]');
+  if (!element || element === hovercardTarget) return;
+  
+  hideHovercard();
+  if (!isEnabled) return;
+  
+  hovercardTarget = element;
+  hovercardTimer = setTimeout(() => showHovercard(element), HOVERCARD_DELAY);
+});
+
+document.addEventListener('mouseout', (event) => {
+  if (!hovercardTarget) return;
+  
+  // Moving between children of the same element keeps the card open
+  if (event.relatedTarget && hovercardTarget.contains(event.relatedTarget)) return;
+  
+  hideHovercard();
+});
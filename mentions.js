@@ -0,0 +1,255 @@
+'use strict';
+
+// @-mention suggestions (loaded after content.js)
+// GitHub's suggester lists logins with whatever name GitHub picks. Its
+// entries are list items, not links, so the username extractors never see
+// them: they are decorated here with our display names instead. Typing part of a name
+// ("@Jane") also offers matching logins from the shared cache and overrides;
+// picking one inserts "@login", so the comment still mentions the account.
+
+const SUGGESTION_SELECTORS = [
+  '.suggester li[data-value]',
+  'ul.suggestions li[data-value]',
+  'text-expander [role="option"][data-value]',
+].join(', ');
+
+// "@" followed by the text typed so far, right before the caret. The query
+// is one word, as in GitHub's own suggester: a space ends the mention.
+const MENTION_QUERY = /(?:^|[\s(])@([^\s@\/]{2,39})$/;
+const MENTION_MATCH_LIMIT = 5;
+const MENTION_SEARCH_DELAY = 150; // Debounce between keystrokes
+
+let mentionList = null;
+let mentionTimer = null;
+// The textarea and the "@query" range the open list would replace
+let mentionTarget = null;
+let mentionMatches = [];
+let mentionSelected = 0;
+
+// Decorate suggester entries in a node added to the page (see setupObserver)
+function decorateSuggestions(node) {
+  if (!isEnabled) return;
+  
+  if (node.matches?.(SUGGESTION_SELECTORS)) {
+    decorateSuggestion(node);
+  }
+  node.querySelectorAll?.(SUGGESTION_SELECTORS).forEach(decorateSuggestion);
+}
+
+// Show our display name in place of the name GitHub chose. The entry's
+// data-value (the login GitHub inserts) is left alone.
+async function decorateSuggestion(item) {
+  const login = item.getAttribute('data-value');
+  // Team entries ("org/team") are not logins
+  if (!login || login.includes('/')) return;
+  
+  if (!getOverride(login) && !nameCache.has(login)) {
+    nameCache.set(login, await requestRealName(login, 'visible'));
+  }
+  
+  const displayName = getDisplayName(login);
+  if (displayName === login) return;
+  
+  let nameElement = item.querySelector('.github-realnames-suggestion, small, .description');
+  if (!nameElement) {
+    nameElement = document.createElement('span');
+    item.append(' ', nameElement);
+  }
+  nameElement.classList.add('github-realnames-suggestion');
+  nameElement.textContent = displayName;
+}
+
+async function searchMentionNames(query) {
+  const needle = query.toLowerCase();
+  const matches = new Map();
+  
+  // Overrides are only in this tab, so match them here
+  for (const [login, name] of Object.entries(nameOverrides)) {
+    if (nameMatchesQuery(name, needle)) matches.set(login, name);
+  }
+  
+  try {
+    const results = await chrome.runtime.sendMessage({ action: 'searchNames', query, limit: MENTION_MATCH_LIMIT });
+    for (const { login, name, profile } of results || []) {
+      if (!nameCache.has(login)) nameCache.set(login, { name, profile });
+      if (!matches.has(login.toLowerCase())) matches.set(login, name);
+    }
+  } catch (error) {
+    console.error('[GitHub Real Names] Error searching names:', error);
+  }
+  
+  // Logins that start with the query are already offered by GitHub
+  return Array.from(matches.keys())
+    .filter(login => !login.toLowerCase().startsWith(needle))
+    .slice(0, MENTION_MATCH_LIMIT);
+}
+
+// A word of the name starts with the query: "jane" and "doe" both match
+// "Jane Doe"
+function nameMatchesQuery(name, needle) {
+  const lowerName = name.toLowerCase();
+  return lowerName.startsWith(needle) || lowerName.includes(` ${needle}`);
+}
+
+function createMentionList() {
+  const style = document.createElement('style');
+  style.textContent = `
+    #github-realnames-mentions {
+      position: absolute;
+      z-index: 1000;
+      min-width: 200px;
+      margin: 0;
+      padding: 4px 0;
+      list-style: none;
+      font-size: 12px;
+      color: var(--fgColor-default, #24292f);
+      background: var(--overlay-bgColor, #ffffff);
+      border: 1px solid var(--borderColor-default, #d0d7de);
+      border-radius: 6px;
+      box-shadow: 0 8px 24px rgba(140, 149, 159, 0.2);
+    }
+    
+    #github-realnames-mentions li {
+      padding: 4px 12px;
+      cursor: pointer;
+    }
+    
+    #github-realnames-mentions li[aria-selected="true"] {
+      background: var(--bgColor-accent-muted, #ddf4ff);
+    }
+    
+    #github-realnames-mentions .grn-login {
+      color: var(--fgColor-muted, #57606a);
+    }
+  `;
+  document.head.appendChild(style);
+  
+  const list = document.createElement('ul');
+  list.id = 'github-realnames-mentions';
+  list.setAttribute('role', 'listbox');
+  list.hidden = true;
+  
+  // mousedown keeps the focus in the textarea
+  list.addEventListener('mousedown', (event) => {
+    const option = event.target.closest('li');
+    if (!option) return;
+    
+    event.preventDefault();
+    insertMention(option.getAttribute('data-value'));
+  });
+  
+  document.body.appendChild(list);
+  return list;
+}
+
+function renderMentionList() {
+  const options = mentionMatches.map((login, index) => {
+    const option = document.createElement('li');
+    option.setAttribute('role', 'option');
+    option.setAttribute('data-value', login);
+    option.setAttribute('aria-selected', String(index === mentionSelected));
+    
+    const loginLabel = document.createElement('span');
+    loginLabel.className = 'grn-login';
+    loginLabel.textContent = `@${login}`;
+    option.append(getDisplayName(login), ' ', loginLabel);
+    
+    return option;
+  });
+  
+  mentionList.replaceChildren(...options);
+}
+
+function showMentionList(textarea, start, end, logins) {
+  if (!mentionList) {
+    mentionList = createMentionList();
+  }
+  
+  mentionTarget = { textarea, start, end };
+  mentionMatches = logins;
+  mentionSelected = 0;
+  renderMentionList();
+  
+  const rect = textarea.getBoundingClientRect();
+  mentionList.style.top = `${rect.bottom + window.scrollY}px`;
+  mentionList.style.left = `${rect.left + window.scrollX}px`;
+  mentionList.hidden = false;
+}
+
+function hideMentionList() {
+  clearTimeout(mentionTimer);
+  mentionTarget = null;
+  mentionMatches = [];
+  if (mentionList) {
+    mentionList.hidden = true;
+  }
+}
+
+// Replace the typed "@query" with "@login ". execCommand keeps the edit in
+// the undo history and fires the input events GitHub's editor listens to.
+function insertMention(login) {
+  if (!mentionTarget) return;
+  
+  const { textarea, start, end } = mentionTarget;
+  hideMentionList();
+  
+  textarea.focus();
+  textarea.setSelectionRange(start, end);
+  document.execCommand('insertText', false, `@${login} `);
+}
+
+async function updateMentionList(textarea) {
+  const caret = textarea.selectionStart;
+  const match = textarea.value.slice(0, caret).match(MENTION_QUERY);
+  if (!match) {
+    hideMentionList();
+    return;
+  }
+  
+  const query = match[1];
+  const logins = await searchMentionNames(query);
+  
+  // The text may have changed while searching
+  if (textarea.selectionStart !== caret || logins.length === 0) {
+    if (textarea.selectionStart === caret) hideMentionList();
+    return;
+  }
+  
+  showMentionList(textarea, caret - query.length - 1, caret, logins);
+}
+
+document.addEventListener('input', (event) => {
+  const textarea = event.target;
+  if (textarea.tagName !== 'TEXTAREA' || !isEnabled) return;
+  
+  clearTimeout(mentionTimer);
+  mentionTimer = setTimeout(() => updateMentionList(textarea), MENTION_SEARCH_DELAY);
+}, true);
+
+// Arrow keys, Enter and Tab drive our list only while GitHub's own suggester
+// is closed, so both never compete for the same keystroke
+document.addEventListener('keydown', (event) => {
+  if (!mentionTarget || event.target !== mentionTarget.textarea) return;
+  if (event.target.getAttribute('aria-expanded') === 'true') return;
+  
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    mentionSelected = (mentionSelected + step + mentionMatches.length) % mentionMatches.length;
+    renderMentionList();
+  } else if (event.key === 'Enter' || event.key === 'Tab') {
+    insertMention(mentionMatches[mentionSelected]);
+  } else if (event.key === 'Escape') {
+    hideMentionList();
+  } else {
+    return;
+  }
+  
+  event.preventDefault();
+  event.stopPropagation();
+}, true);
+
+document.addEventListener('focusout', (event) => {
+  if (mentionTarget && event.target === mentionTarget.textarea) {
+    hideMentionList();
+  }
+});
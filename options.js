@@ -0,0 +1,764 @@
+'use strict';
+
+// Options page: display, rules, overrides, token, Enterprise host, directory
+// and cache settings, and a table of every cached entry
+
+const tokenHostSelect = document.getElementById('tokenHost');
+const tokenInput = document.getElementById('tokenInput');
+const tokenStatus = document.getElementById('tokenStatus');
+const oauthClientIdInput = document.getElementById('oauthClientId');
+const oauthBaseUrlInput = document.getElementById('oauthBaseUrl');
+const saveOAuthSettingsBtn = document.getElementById('saveOAuthSettings');
+const oauthStatus = document.getElementById('oauthStatus');
+const githubApiUrlInput = document.getElementById('githubApiUrl');
+const saveApiUrlBtn = document.getElementById('saveApiUrl');
+const apiUrlStatus = document.getElementById('apiUrlStatus');
+const saveTokenBtn = document.getElementById('saveToken');
+const removeTokenBtn = document.getElementById('removeToken');
+const displayFormatInput = document.getElementById('displayFormat');
+const mentionPrefixCheckbox = document.getElementById('mentionPrefix');
+const textScanningCheckbox = document.getElementById('textScanning');
+const orgNamesCheckbox = document.getElementById('orgNames');
+const contextCheckboxes = document.querySelectorAll('[data-replacement-context]');
+const extractorCheckboxes = document.querySelectorAll('[data-extractor]');
+const repositoryRulesInput = document.getElementById('repositoryRules');
+const rulePreview = document.getElementById('rulePreview');
+const overrideList = document.getElementById('overrideList');
+const overrideLoginInput = document.getElementById('overrideLogin');
+const overrideNameInput = document.getElementById('overrideName');
+const addOverrideBtn = document.getElementById('addOverride');
+const cacheMaxEntriesInput = document.getElementById('cacheMaxEntries');
+const cacheTtlInput = document.getElementById('cacheTtl');
+const cacheSizeLabel = document.getElementById('cacheSize');
+const cacheSearchInput = document.getElementById('cacheSearch');
+const cacheTable = document.getElementById('cacheTable');
+const cacheTableInfo = document.getElementById('cacheTableInfo');
+const exportDataBtn = document.getElementById('exportData');
+const importDataBtn = document.getElementById('importData');
+const importStrategySelect = document.getElementById('importStrategy');
+const importFileInput = document.getElementById('importFile');
+const backupStatus = document.getElementById('backupStatus');
+const directorySourceInput = document.getElementById('directorySource');
+const saveDirectoryBtn = document.getElementById('saveDirectory');
+const refreshDirectoryBtn = document.getElementById('refreshDirectory');
+const directoryStatus = document.getElementById('directoryStatus');
+const hostList = document.getElementById('hostList');
+const hostNameInput = document.getElementById('hostName');
+const hostApiUrlInput = document.getElementById('hostApiUrl');
+const addHostBtn = document.getElementById('addHost');
+const hostStatus = document.getElementById('hostStatus');
+
+const CACHE_TABLE_LIMIT = 200; // Rows shown at once; the search narrows them down
+// Classic token scopes worth having: read:org lets team names resolve.
+// Names themselves need no scope at all.
+const USEFUL_TOKEN_SCOPES = ['read:org'];
+
+// Cached entries as listed by the background, most recently used first
+let cacheRows = [];
+
+// Load current state
+async function loadState() {
+  // Load Enterprise hosts and the selected host's token status
+  await loadHosts();
+  await loadTokenStatus();
+  await loadOAuthSettings();
+  await loadApiUrl();
+  
+  // Load display format
+  await loadDisplaySettings();
+  
+  // Load replacement rules
+  await loadReplacementRules();
+  
+  // Load name overrides
+  await loadOverrides();
+  
+  // Load team directory
+  await loadDirectoryStatus();
+  
+  // Load cache settings and entries
+  await loadCacheSettings();
+  await loadCacheTable();
+}
+
+// Load display format template and display options
+async function loadDisplaySettings() {
+  const {
+    displaySettings = {},
+    textScanning = false,
+    orgNames = false,
+  } = await chrome.storage.local.get(['displaySettings', 'textScanning', 'orgNames']);
+  
+  displayFormatInput.value = displaySettings.format || '{name}';
+  mentionPrefixCheckbox.checked = !!displaySettings.mentionPrefix;
+  textScanningCheckbox.checked = textScanning;
+  orgNamesCheckbox.checked = orgNames;
+}
+
+// Save display settings; open tabs re-render from the storage change
+async function saveDisplaySettings() {
+  await chrome.storage.local.set({
+    displaySettings: {
+      format: displayFormatInput.value.trim() || '{name}',
+      mentionPrefix: mentionPrefixCheckbox.checked,
+    },
+  });
+}
+
+// Load replacement rules: contexts and extractors as checkboxes, repository
+// rules as one glob per line ("!" in front keeps logins)
+async function loadReplacementRules() {
+  const { replacementRules = {}, extractorSettings = {} } =
+    await chrome.storage.local.get(['replacementRules', 'extractorSettings']);
+  const { contexts = {}, repositories = [] } = replacementRules;
+  
+  contextCheckboxes.forEach(checkbox => {
+    checkbox.checked = contexts[checkbox.dataset.replacementContext] !== false;
+  });
+  extractorCheckboxes.forEach(checkbox => {
+    checkbox.checked = extractorSettings[checkbox.dataset.extractor] !== false;
+  });
+  repositoryRulesInput.value = repositories
+    .map(rule => (rule.enabled ? '' : '!') + rule.pattern)
+    .join('\n');
+  
+  await loadRulePreview();
+}
+
+async function saveReplacementRules() {
+  const contexts = {};
+  contextCheckboxes.forEach(checkbox => {
+    contexts[checkbox.dataset.replacementContext] = checkbox.checked;
+  });
+  
+  const repositories = repositoryRulesInput.value
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => ({ pattern: line.replace(/^!/, '').trim(), enabled: !line.startsWith('!') }));
+  
+  await chrome.storage.local.set({ replacementRules: { contexts, repositories } });
+  
+  // Give the tab a moment to re-apply the rules before previewing them
+  setTimeout(loadRulePreview, 200);
+}
+
+// Which surfaces content scripts look for logins in (extractor id -> enabled)
+async function saveExtractorSettings() {
+  const extractorSettings = {};
+  extractorCheckboxes.forEach(checkbox => {
+    extractorSettings[checkbox.dataset.extractor] = checkbox.checked;
+  });
+  
+  await chrome.storage.local.set({ extractorSettings });
+}
+
+// Show which rules match on the most recently used GitHub tab (this page
+// is a tab itself; the popup previews the active tab)
+async function loadRulePreview() {
+  const tabs = await queryGitHubTabs();
+  const [tab] = tabs.sort((a, b) => b.lastAccessed - a.lastAccessed);
+  
+  rulePreview.textContent = await describeRuleMatch(tab);
+}
+
+// Load display name overrides (login -> preferred name)
+async function loadOverrides() {
+  const { nameOverrides = {} } = await chrome.storage.local.get('nameOverrides');
+  const logins = Object.keys(nameOverrides).sort();
+  
+  overrideList.replaceChildren(...logins.map(login => {
+    const row = document.createElement('div');
+    row.className = 'override-row';
+    
+    const label = document.createElement('span');
+    label.textContent = `@${login} → ${nameOverrides[login]}`;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'override-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = `Remove override for @${login}`;
+    removeBtn.addEventListener('click', () => saveOverride(login, ''));
+    
+    row.append(label, removeBtn);
+    return row;
+  }));
+}
+
+// Save an override; an empty name removes it. Open tabs pick the change up
+// from storage, so no message is needed.
+async function saveOverride(login, name) {
+  const { nameOverrides = {} } = await chrome.storage.local.get('nameOverrides');
+  const key = login.replace(/^@/, '').toLowerCase();
+  
+  if (name) {
+    nameOverrides[key] = name;
+  } else {
+    delete nameOverrides[key];
+  }
+  
+  await chrome.storage.local.set({ nameOverrides });
+  await loadOverrides();
+}
+
+// Load Enterprise hosts into the host list and the token's host picker
+async function loadHosts() {
+  const { hostProfiles = {} } = await chrome.storage.local.get('hostProfiles');
+  const hosts = Object.keys(hostProfiles).sort();
+  const selected = hosts.includes(tokenHostSelect.value) ? tokenHostSelect.value : DEFAULT_HOST;
+  
+  tokenHostSelect.replaceChildren(...[DEFAULT_HOST, ...hosts].map(host =>
+    new Option(host, host, false, host === selected)
+  ));
+  
+  hostList.replaceChildren(...hosts.map(host => {
+    const row = document.createElement('div');
+    row.className = 'override-row';
+    
+    const label = document.createElement('span');
+    label.textContent = `${host} (${hostProfiles[host].apiUrl})`;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'override-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = `Remove ${host}`;
+    removeBtn.addEventListener('click', () => removeHost(host));
+    
+    row.append(label, removeBtn);
+    return row;
+  }));
+}
+
+// Load token status for the selected host
+async function loadTokenStatus() {
+  const host = tokenHostSelect.value || DEFAULT_HOST;
+  const profile = await getHostProfile(host);
+  const { tokenInfo = {}, oauthAccount } = await chrome.storage.local.get(['tokenInfo', 'oauthAccount']);
+  
+  if (profile?.token) {
+    tokenInput.value = '••••••••••••••••••••';
+    tokenInput.setAttribute('data-has-token', 'true');
+    tokenStatus.textContent = tokenInfo[host] ? describeTokenInfo(tokenInfo[host]) : '';
+  } else {
+    tokenInput.value = '';
+    tokenInput.removeAttribute('data-has-token');
+    tokenStatus.textContent = '';
+  }
+  
+  // Signing in from the popup takes precedence over the token on github.com
+  if (host === DEFAULT_HOST && oauthAccount?.status === 'signed-in') {
+    const account = oauthAccount.login ? ` as @${oauthAccount.login}` : '';
+    tokenStatus.textContent = `Signed in with GitHub${account}; this token is only used after signing out.`;
+  }
+}
+
+async function loadOAuthSettings() {
+  const { oauthSettings = {} } = await chrome.storage.local.get('oauthSettings');
+  oauthClientIdInput.value = oauthSettings.clientId || '';
+  oauthBaseUrlInput.value = oauthSettings.baseUrl || '';
+}
+
+// Save the sign-in app. A server other than github.com (such as a local
+// mock) needs access to its host, requested while handling the click.
+async function saveOAuthSettings() {
+  const clientId = oauthClientIdInput.value.trim();
+  const baseUrl = oauthBaseUrlInput.value.trim().replace(/\/+$/, '');
+  const oauthSettings = {};
+  
+  if (clientId) oauthSettings.clientId = clientId;
+  if (baseUrl) {
+    let origin;
+    try {
+      origin = new URL(baseUrl).origin;
+    } catch (error) {
+      oauthStatus.textContent = 'Invalid server URL.';
+      return;
+    }
+    
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      oauthStatus.textContent = `Access to ${origin} is needed to sign in there.`;
+      return;
+    }
+    oauthSettings.baseUrl = baseUrl;
+  }
+  
+  await chrome.storage.local.set({ oauthSettings });
+  oauthStatus.textContent = 'Saved. Use "Sign in with GitHub" in the popup.';
+}
+
+async function loadApiUrl() {
+  const { githubApiUrl = '' } = await chrome.storage.local.get('githubApiUrl');
+  githubApiUrlInput.value = githubApiUrl;
+}
+
+// Save the github.com API server, asking for access to it first. When the
+// server changes, github.com names (except pinned ones) and the rate limit
+// from the previous server are dropped so they are not mixed up; Enterprise
+// hosts keep theirs.
+async function saveApiUrl() {
+  const apiUrl = githubApiUrlInput.value.trim().replace(/\/+$/, '');
+  
+  if (apiUrl && apiUrl !== DEFAULT_API_URL) {
+    let origin;
+    try {
+      origin = new URL(apiUrl).origin;
+    } catch (error) {
+      apiUrlStatus.textContent = 'Invalid API URL.';
+      return;
+    }
+    
+    // Asked for first, while the click still counts as a user gesture
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      apiUrlStatus.textContent = `Access to ${origin} is needed to look up names there.`;
+      return;
+    }
+  }
+  
+  const { githubApiUrl: previousApiUrl = DEFAULT_API_URL } = await chrome.storage.local.get('githubApiUrl');
+  if (apiUrl && apiUrl !== DEFAULT_API_URL) {
+    await chrome.storage.local.set({ githubApiUrl: apiUrl });
+  } else {
+    await chrome.storage.local.remove('githubApiUrl');
+  }
+  
+  if ((apiUrl || DEFAULT_API_URL) !== previousApiUrl) {
+    await chrome.storage.local.remove('rateLimitData');
+    await chrome.runtime.sendMessage({ action: 'clearCache', host: DEFAULT_HOST });
+  }
+  
+  githubApiUrlInput.value = apiUrl === DEFAULT_API_URL ? '' : apiUrl;
+  apiUrlStatus.textContent = apiUrl && apiUrl !== DEFAULT_API_URL
+    ? `Saved. github.com names are now looked up at ${apiUrl}.`
+    : 'Saved. github.com names are looked up at api.github.com.';
+}
+
+// "Signed in as @octocat · 5,000 requests/hour · expires 2025-01-31 · no scopes"
+function describeTokenInfo(info) {
+  const parts = [`Signed in as @${info.login}`];
+  if (info.limit) parts.push(`${info.limit.toLocaleString()} requests/hour`);
+  parts.push(info.expiresAt ? `expires ${info.expiresAt}` : 'never expires');
+  
+  // Fine-grained tokens have no scopes to report
+  if (info.scopes) {
+    parts.push(info.scopes.length > 0 ? `scopes: ${info.scopes.join(', ')}` : 'no scopes');
+  }
+  
+  const extraScopes = (info.scopes || []).filter(scope => !USEFUL_TOKEN_SCOPES.includes(scope));
+  const warning = extraScopes.length > 0
+    ? ` — ${extraScopes.join(', ')} give more access than needed; a token with no scopes is enough.`
+    : '';
+  
+  return parts.join(' · ') + warning;
+}
+
+// Check a token against the host's API before saving it. /user tells whose
+// token it is (and, in headers, its expiry and scopes); /rate_limit its budget.
+// Throws with a message for the user when the token cannot be used.
+async function validateToken(token, profile) {
+  const headers = buildHeaders(token);
+  
+  let userResponse;
+  try {
+    userResponse = await fetch(`${profile.apiUrl}/user`, { headers });
+  } catch (error) {
+    throw new Error(`Could not reach ${profile.apiUrl}.`);
+  }
+  
+  if (userResponse.status === 401) {
+    throw new Error(`${profile.host} rejected the token: it is mistyped, expired or revoked.`);
+  }
+  if (!userResponse.ok) {
+    throw new Error(`Could not check the token: ${profile.host} answered HTTP ${userResponse.status}.`);
+  }
+  
+  const user = await userResponse.json();
+  const scopes = userResponse.headers.get('X-OAuth-Scopes');
+  
+  // Enterprise Server answers 404 when rate limiting is turned off
+  const rateResponse = await fetch(`${profile.apiUrl}/rate_limit`, { headers }).catch(() => null);
+  const rate = rateResponse?.ok ? (await rateResponse.json()).resources?.core : null;
+  
+  return {
+    login: user.login,
+    expiresAt: userResponse.headers.get('GitHub-Authentication-Token-Expiration'),
+    scopes: scopes === null ? null : scopes.split(',').map(scope => scope.trim()).filter(Boolean),
+    limit: rate?.limit || null,
+    checkedAt: Date.now(),
+  };
+}
+
+// Store (or, without a token, remove) a host's token and what was learnt about it
+async function saveHostToken(host, token, info) {
+  const { hostTokens = {}, tokenInfo = {} } = await chrome.storage.local.get(['hostTokens', 'tokenInfo']);
+  
+  if (token) {
+    tokenInfo[host] = info;
+  } else {
+    delete tokenInfo[host];
+  }
+  
+  if (host === DEFAULT_HOST) {
+    if (token) {
+      await chrome.storage.local.set({ githubToken: token, tokenInfo });
+    } else {
+      await chrome.storage.local.remove('githubToken');
+      await chrome.storage.local.set({ tokenInfo });
+    }
+    return;
+  }
+  
+  if (token) {
+    hostTokens[host] = token;
+  } else {
+    delete hostTokens[host];
+  }
+  await chrome.storage.local.set({ hostTokens, tokenInfo });
+}
+
+// Add an Enterprise host. Access to its pages and API is requested while
+// handling the click; the background then registers the content scripts.
+async function addHost() {
+  const host = hostNameInput.value.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!host || host === DEFAULT_HOST) return;
+  
+  const apiUrl = (hostApiUrlInput.value.trim() || defaultApiUrl(host)).replace(/\/+$/, '');
+  let apiOrigin;
+  try {
+    apiOrigin = new URL(apiUrl).origin;
+  } catch (error) {
+    hostStatus.textContent = 'Invalid API URL.';
+    return;
+  }
+  
+  const granted = await chrome.permissions.request({ origins: [`https://${host}/*`, `${apiOrigin}/*`] });
+  if (!granted) {
+    hostStatus.textContent = `Access to ${host} is needed to show names there.`;
+    return;
+  }
+  
+  const { hostProfiles = {} } = await chrome.storage.local.get('hostProfiles');
+  hostProfiles[host] = { apiUrl };
+  await chrome.storage.local.set({ hostProfiles });
+  
+  hostNameInput.value = '';
+  hostApiUrlInput.value = '';
+  hostStatus.textContent = `Added ${host}. Reload its open tabs, then add a token for it above.`;
+  
+  await loadHosts();
+  tokenHostSelect.value = host;
+  await loadTokenStatus();
+}
+
+// Remove an Enterprise host with its token, cached names and access
+async function removeHost(host) {
+  if (!confirm(`Stop showing names on ${host}? Its token and cached names are removed too.`)) {
+    return;
+  }
+  
+  const { hostProfiles = {} } = await chrome.storage.local.get('hostProfiles');
+  const { apiUrl } = hostProfiles[host];
+  delete hostProfiles[host];
+  
+  await chrome.storage.local.set({ hostProfiles });
+  await saveHostToken(host, null);
+  await chrome.runtime.sendMessage({ action: 'clearCache', host, pinned: true });
+  await chrome.permissions.remove({ origins: [`https://${host}/*`, `${new URL(apiUrl).origin}/*`] });
+  
+  await loadHosts();
+  await loadTokenStatus();
+}
+
+// Load cache settings and current size from the background cache store
+async function loadCacheSettings() {
+  const { settings, size } = await chrome.runtime.sendMessage({ action: 'getCacheSettings' });
+  
+  cacheMaxEntriesInput.value = settings.maxEntries;
+  cacheTtlInput.value = settings.ttlHours;
+  cacheSizeLabel.textContent = `${size} cached`;
+}
+
+// Save cache settings (the background applies them on change)
+async function saveCacheSettings() {
+  const maxEntries = parseInt(cacheMaxEntriesInput.value, 10);
+  const ttlHours = parseInt(cacheTtlInput.value, 10);
+  
+  if (!(maxEntries > 0) || !(ttlHours > 0)) {
+    await loadCacheSettings();
+    return;
+  }
+  
+  await chrome.storage.local.set({ cacheSettings: { maxEntries, ttlHours } });
+  await loadCacheSettings();
+}
+
+// Load the team directory source and how its last refresh went
+async function loadDirectoryStatus() {
+  const { directorySource = '', directory } = await chrome.storage.local.get(['directorySource', 'directory']);
+  
+  directorySourceInput.value = directorySource;
+  
+  if (!directorySource) {
+    directoryStatus.textContent = 'No directory configured.';
+  } else if (directory?.error) {
+    directoryStatus.textContent = `Could not load the directory: ${directory.error}`;
+  } else if (directory?.fetchedAt) {
+    const count = Object.keys(directory.entries).length;
+    directoryStatus.textContent = `${count} people, updated ${new Date(directory.fetchedAt).toLocaleString()}`;
+  } else {
+    directoryStatus.textContent = 'Loading…';
+  }
+}
+
+// Save the directory source; the background loads it on change. Sources
+// other than GitHub need access to their host, which must be requested
+// while handling the click.
+async function saveDirectorySource() {
+  const source = directorySourceInput.value.trim();
+  
+  if (/^https?:\/\//.test(source)) {
+    let origin;
+    try {
+      origin = new URL(source).origin;
+    } catch (error) {
+      directoryStatus.textContent = 'Invalid URL.';
+      return;
+    }
+    
+    const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+    if (!granted) {
+      directoryStatus.textContent = `Access to ${origin} is needed to read the directory.`;
+      return;
+    }
+  }
+  
+  await chrome.storage.local.set({ directorySource: source });
+  directoryStatus.textContent = source ? 'Loading…' : 'No directory configured.';
+}
+
+// "3m", "5h", "2d"
+function formatAge(timestamp) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 48 * 60) return `${Math.round(minutes / 60)}h`;
+  return `${Math.round(minutes / (24 * 60))}d`;
+}
+
+async function loadCacheTable() {
+  const entries = await chrome.runtime.sendMessage({ action: 'listCache' });
+  cacheRows = entries.reverse();
+  renderCacheTable();
+}
+
+function createActionButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.className = 'btn-small';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Show the entries matching the search box
+async function renderCacheTable() {
+  const { nameOverrides = {} } = await chrome.storage.local.get('nameOverrides');
+  const query = cacheSearchInput.value.trim().toLowerCase();
+  
+  const matching = cacheRows.filter(entry =>
+    !query ||
+    entry.username.toLowerCase().includes(query) ||
+    (entry.name || '').toLowerCase().includes(query)
+  );
+  
+  cacheTable.replaceChildren(...matching.slice(0, CACHE_TABLE_LIMIT).map(entry => {
+    const { username } = entry;
+    const override = nameOverrides[username.toLowerCase()];
+    const row = document.createElement('tr');
+    
+    const cells = [
+      username,
+      override ? `${override} (override)` : entry.name || '—',
+      formatAge(entry.fetchedAt),
+      entry.source || '—',
+      [entry.result, entry.status].filter(Boolean).join(' · ') || '—',
+    ].map(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      return cell;
+    });
+    if (entry.pinned) cells[0].classList.add('pinned');
+    
+    const actions = document.createElement('td');
+    actions.append(
+      createActionButton('Edit', 'Set a display name override', async () => {
+        const name = prompt(`Display name for @${username} (leave empty to remove the override)`, override || entry.name || '');
+        if (name === null) return;
+        await saveOverride(username, name.trim());
+        await renderCacheTable();
+      }),
+      createActionButton(entry.pinned ? 'Unpin' : 'Pin', 'Pinned entries are never refreshed or dropped', async () => {
+        await chrome.runtime.sendMessage({ action: 'pinCacheEntry', username, pinned: !entry.pinned });
+        await loadCacheTable();
+      }),
+      createActionButton('Re-fetch', 'Fetch this name from GitHub again', async () => {
+        await chrome.runtime.sendMessage({ action: 'refetchCacheEntry', username });
+        await loadCacheTable();
+      }),
+      createActionButton('Delete', 'Remove from the cache', async () => {
+        await chrome.runtime.sendMessage({ action: 'deleteCacheEntry', username });
+        await loadCacheSettings();
+        await loadCacheTable();
+      }),
+    );
+    
+    row.append(...cells, actions);
+    return row;
+  }));
+  
+  cacheTableInfo.textContent = matching.length > CACHE_TABLE_LIMIT
+    ? `Showing ${CACHE_TABLE_LIMIT} of ${matching.length} entries; refine the search to see more.`
+    : 'Edit sets a display name override. Pinned entries are never refreshed or dropped.';
+}
+
+displayFormatInput.addEventListener('change', saveDisplaySettings);
+mentionPrefixCheckbox.addEventListener('change', saveDisplaySettings);
+textScanningCheckbox.addEventListener('change', async () => {
+  await chrome.storage.local.set({ textScanning: textScanningCheckbox.checked });
+});
+orgNamesCheckbox.addEventListener('change', async () => {
+  await chrome.storage.local.set({ orgNames: orgNamesCheckbox.checked });
+});
+
+contextCheckboxes.forEach(checkbox => checkbox.addEventListener('change', saveReplacementRules));
+extractorCheckboxes.forEach(checkbox => checkbox.addEventListener('change', saveExtractorSettings));
+repositoryRulesInput.addEventListener('change', saveReplacementRules);
+
+addOverrideBtn.addEventListener('click', async () => {
+  const login = overrideLoginInput.value.trim();
+  const name = overrideNameInput.value.trim();
+  if (!login || !name) return;
+  
+  await saveOverride(login, name);
+  overrideLoginInput.value = '';
+  overrideNameInput.value = '';
+});
+
+cacheMaxEntriesInput.addEventListener('change', saveCacheSettings);
+cacheTtlInput.addEventListener('change', saveCacheSettings);
+cacheSearchInput.addEventListener('input', renderCacheTable);
+
+// Handle token input focus
+tokenInput.addEventListener('focus', () => {
+  if (tokenInput.getAttribute('data-has-token') === 'true') {
+    tokenInput.value = '';
+  }
+});
+
+tokenHostSelect.addEventListener('change', loadTokenStatus);
+
+// Save token, once the host's API accepts it
+saveTokenBtn.addEventListener('click', async () => {
+  const host = tokenHostSelect.value;
+  const token = tokenInput.value.trim();
+  
+  if (!token || token === '••••••••••••••••••••') {
+    return;
+  }
+  
+  tokenStatus.textContent = 'Checking token…';
+  let info;
+  try {
+    info = await validateToken(token, await getHostProfile(host));
+  } catch (error) {
+    tokenStatus.textContent = error.message;
+    return;
+  }
+  
+  // Save token; cached names stay, lookups that failed are tried again with it
+  await saveHostToken(host, token, info);
+  await chrome.runtime.sendMessage({ action: 'tokenChanged', host });
+  
+  // Visual feedback
+  saveTokenBtn.textContent = '✓ Saved';
+  setTimeout(() => {
+    saveTokenBtn.textContent = 'Save';
+  }, 2000);
+  
+  // Reload status
+  await loadTokenStatus();
+});
+
+// Remove token
+removeTokenBtn.addEventListener('click', async () => {
+  const host = tokenHostSelect.value;
+  const warning = host === DEFAULT_HOST ? ' Rate limit will drop to 60 requests/hour.' : '';
+  if (!confirm(`Remove the token for ${host}?${warning}`)) {
+    return;
+  }
+  
+  // Remove the token; cached names stay
+  await saveHostToken(host, null);
+  await chrome.runtime.sendMessage({ action: 'tokenChanged', host });
+  
+  // Visual feedback
+  removeTokenBtn.textContent = '✓ Removed';
+  setTimeout(() => {
+    removeTokenBtn.textContent = 'Remove';
+  }, 2000);
+  
+  // Reload status
+  await loadTokenStatus();
+});
+
+addHostBtn.addEventListener('click', addHost);
+saveOAuthSettingsBtn.addEventListener('click', saveOAuthSettings);
+saveApiUrlBtn.addEventListener('click', saveApiUrl);
+
+// Signing in or out from the popup changes which token is used
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.oauthAccount) {
+    loadTokenStatus();
+  }
+});
+
+saveDirectoryBtn.addEventListener('click', saveDirectorySource);
+refreshDirectoryBtn.addEventListener('click', async () => {
+  directoryStatus.textContent = 'Loading…';
+  await chrome.runtime.sendMessage({ action: 'refreshDirectory' });
+  await loadDirectoryStatus();
+});
+
+// The background stores the directory after each refresh
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.directory) {
+    loadDirectoryStatus();
+  }
+});
+
+exportDataBtn.addEventListener('click', async () => {
+  backupStatus.textContent = await exportData();
+});
+importDataBtn.addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', async () => {
+  const [file] = importFileInput.files;
+  if (!file) return;
+  
+  const { error, report, pendingDirectorySource } = await importData(file, importStrategySelect.value);
+  importFileInput.value = '';
+  if (error) {
+    backupStatus.textContent = error;
+    return;
+  }
+  
+  await loadState();
+  // The imported directory waits in its field for Save, which can ask for access
+  if (pendingDirectorySource) {
+    directorySourceInput.value = pendingDirectorySource;
+    report.push('Click Save under Team directory to allow reading the imported directory.');
+  }
+  backupStatus.textContent = report.join(' ');
+});
+
+// Initialize
+loadState();
@@ -1,40 +1,122 @@
 'use strict';
 
 const toggleSwitch = document.getElementById('toggleSwitch');
-const refreshNamesBtn = document.getElementById('refreshNames');
+const refreshModeButtons = document.querySelectorAll('[data-refresh-mode]');
+const refreshProgressLabel = document.getElementById('refreshProgress');
+const openOptionsBtn = document.getElementById('openOptions');
 const statusContainer = document.getElementById('statusContainer');
-const settingsHeader = document.getElementById('settingsHeader');
-const settingsContent = document.getElementById('settingsContent');
-const tokenInput = document.getElementById('tokenInput');
-const saveTokenBtn = document.getElementById('saveToken');
-const removeTokenBtn = document.getElementById('removeToken');
 const authStatus = document.getElementById('authStatus');
 const rateLimit = document.getElementById('rateLimit');
 const remaining = document.getElementById('remaining');
 const resetTime = document.getElementById('resetTime');
+const queueDepth = document.getElementById('queueDepth');
+const signInBtn = document.getElementById('signIn');
+const signOutBtn = document.getElementById('signOut');
+const signInStatus = document.getElementById('signInStatus');
+const signInCode = document.getElementById('signInCode');
+const userCodeLabel = document.getElementById('userCode');
+const openVerificationBtn = document.getElementById('openVerification');
+const debugSwitch = document.getElementById('debugSwitch');
+const copyReportBtn = document.getElementById('copyReport');
+const debugStatus = document.getElementById('debugStatus');
+const rulePreview = document.getElementById('rulePreview');
+const exportDataBtn = document.getElementById('exportData');
+const importDataBtn = document.getElementById('importData');
+const importStrategySelect = document.getElementById('importStrategy');
+const importFileInput = document.getElementById('importFile');
+const backupStatus = document.getElementById('backupStatus');
+
+const REFRESH_POLL_INTERVAL = 500;
+const SIGN_IN_POLL_INTERVAL = 1000;
+const REFRESH_MODE_LABELS = {
+  stale: 'stale names',
+  failed: 'failed names',
+  page: 'names on this page',
+};
+
+// Active tab, its logins and host, for the "this page" refresh, the rule
+// preview and debug mode
+let pageTab = null;
+let pageUsernames = [];
+let pageHost = DEFAULT_HOST;
+// Where the user enters the code of a sign-in in progress
+let verificationUri = null;
 
 // Load current state
 async function loadState() {
   const { enabled = true } = await chrome.storage.local.get('enabled');
   toggleSwitch.checked = enabled;
   
-  // Load token status
-  await loadTokenStatus();
-  
-  // Load rate limit info
+  // Load rate limit info and GitHub sign-in
   await loadRateLimitInfo();
+  await loadSignIn();
+  
+  // Load refresh counts, and the progress of a refresh still running
+  await loadPageUsernames();
+  await loadRefreshCounts();
+  await showRefreshProgress();
+  
+  await loadRulePreview();
+  await loadDebugMode();
 }
 
-// Load token status
-async function loadTokenStatus() {
-  const { githubToken } = await chrome.storage.local.get('githubToken');
+// Show which replacement rules match on the active tab
+async function loadRulePreview() {
+  rulePreview.textContent = await describeRuleMatch(pageTab);
+}
+
+async function loadPageUsernames() {
+  [pageTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  pageHost = getUrlHost(pageTab.url);
+  
+  try {
+    pageUsernames = await chrome.tabs.sendMessage(pageTab.id, { action: 'getPageLogins' }) || [];
+  } catch (error) {
+    // Not a GitHub tab, or the content script is not loaded
+    pageUsernames = [];
+  }
+}
+
+// Debug mode belongs to the active tab; it is off where names are not replaced
+async function loadDebugMode() {
+  let debug = false;
+  try {
+    ({ debug } = await chrome.tabs.sendMessage(pageTab.id, { action: 'getState' }));
+    debugSwitch.disabled = false;
+  } catch (error) {
+    debugSwitch.disabled = true;
+    debugStatus.textContent = 'Open a GitHub page to debug it.';
+  }
+  
+  debugSwitch.checked = !!debug;
+  copyReportBtn.hidden = !debug;
+}
+
+// Show how many names each refresh mode would fetch
+async function loadRefreshCounts() {
+  const counts = await chrome.runtime.sendMessage({ action: 'getRefreshCounts', usernames: pageUsernames, host: pageHost });
+  
+  refreshModeButtons.forEach(button => {
+    const count = counts[button.dataset.refreshMode];
+    button.querySelector('.refresh-count').textContent = `(${count})`;
+    button.disabled = count === 0;
+  });
+}
+
+// Show the progress of the last refresh, polling while it runs
+async function showRefreshProgress() {
+  const { mode, total, done } = await chrome.runtime.sendMessage({ action: 'getRefreshProgress' });
+  if (!mode) return;
+  
+  const label = REFRESH_MODE_LABELS[mode];
   
-  if (githubToken) {
-    tokenInput.value = '••••••••••••••••••••';
-    tokenInput.setAttribute('data-has-token', 'true');
+  if (done < total) {
+    refreshProgressLabel.textContent = `Refreshing ${label}: ${done} of ${total}`;
+    setTimeout(showRefreshProgress, REFRESH_POLL_INTERVAL);
   } else {
-    tokenInput.value = '';
-    tokenInput.removeAttribute('data-has-token');
+    refreshProgressLabel.textContent = `Refreshed ${total} ${label}`;
+    await loadRefreshCounts();
+    await loadRateLimitInfo();
   }
 }
 
@@ -42,10 +124,11 @@ async function loadTokenStatus() {
 async function loadRateLimitInfo() {
   const { 
     rateLimitData,
-    githubToken 
-  } = await chrome.storage.local.get(['rateLimitData', 'githubToken']);
+    githubToken,
+    oauthAccount
+  } = await chrome.storage.local.get(['rateLimitData', 'githubToken', 'oauthAccount']);
   
-  const isAuthenticated = !!githubToken;
+  const isAuthenticated = !!githubToken || oauthAccount?.status === 'signed-in';
   
   // Update auth status
   authStatus.textContent = isAuthenticated ? 'Yes ✓' : 'No';
@@ -83,6 +166,48 @@ async function loadRateLimitInfo() {
     remaining.textContent = 'Unknown';
     resetTime.textContent = 'Unknown';
   }
+  
+  await loadQueueStats();
+}
+
+// Load lookups still waiting in the background scheduler
+async function loadQueueStats() {
+  const { queued, active, waiting } = await chrome.runtime.sendMessage({ action: 'getQueueStats' });
+  
+  const details = [];
+  if (active > 0) details.push(`${active} sending`);
+  if (waiting > 0) details.push(`${waiting} waiting for reset`);
+  
+  queueDepth.textContent = details.length > 0 ? `${queued} (${details.join(', ')})` : queued;
+}
+
+// Show the signed-in account, or the code of a sign-in in progress
+async function loadSignIn() {
+  const { flow, account } = await chrome.runtime.sendMessage({ action: 'getSignInStatus' });
+  const signedIn = account?.status === 'signed-in';
+  const pending = flow?.status === 'pending';
+  
+  signInBtn.hidden = signedIn || pending;
+  signOutBtn.hidden = !signedIn && !pending;
+  signOutBtn.textContent = pending ? 'Cancel' : 'Sign out';
+  signInCode.hidden = !pending;
+  
+  if (pending) {
+    userCodeLabel.textContent = flow.userCode;
+    verificationUri = flow.verificationUri;
+    signInStatus.textContent = 'Enter this code on GitHub; you can close the popup meanwhile.';
+    setTimeout(loadSignIn, SIGN_IN_POLL_INTERVAL);
+  } else if (signedIn) {
+    signInStatus.textContent = account.login ? `Signed in as @${account.login}` : 'Signed in with GitHub';
+  } else if (account?.status === 'expired') {
+    signInStatus.textContent = 'Your GitHub sign-in expired. Sign in again.';
+  } else if (account?.status === 'revoked') {
+    signInStatus.textContent = 'Access was revoked on GitHub. Sign in again.';
+  } else if (flow?.status === 'failed') {
+    signInStatus.textContent = `Sign-in failed: ${flow.error}`;
+  } else {
+    signInStatus.textContent = 'Or add a personal access token in All Settings.';
+  }
 }
 
 // Toggle the extension on/off
@@ -95,7 +220,7 @@ toggleSwitch.addEventListener('change', async () => {
   await chrome.storage.local.set({ enabled });
   
   // Send message to all GitHub tabs
-  const tabs = await chrome.tabs.query({ url: 'https://github.com/*' });
+  const tabs = await queryGitHubTabs();
   
   console.log('[GitHub Real Names] Found tabs:', tabs.length);
   
@@ -114,120 +239,103 @@ toggleSwitch.addEventListener('change', async () => {
   }
 });
 
-// Refresh all names by clearing cache and re-fetching
-refreshNamesBtn.addEventListener('click', async () => {
-  const { enabled, githubToken } = await chrome.storage.local.get(['enabled', 'githubToken']);
+// Fetch one group of names again; other cached names are left alone
+refreshModeButtons.forEach(button => button.addEventListener('click', async () => {
+  refreshModeButtons.forEach(modeButton => { modeButton.disabled = true; });
   
-  // Clear all cached names but keep settings
-  await chrome.storage.local.clear();
-  await chrome.storage.local.set({ enabled, githubToken });
+  await chrome.runtime.sendMessage({
+    action: 'refreshNames',
+    mode: button.dataset.refreshMode,
+    usernames: pageUsernames,
+    host: pageHost,
+  });
   
-  // Notify all GitHub tabs to refresh
-  const tabs = await chrome.tabs.query({ url: 'https://github.com/*' });
-  for (const tab of tabs) {
-    try {
-      await chrome.tabs.sendMessage(tab.id, { action: 'refreshCache' });
-    } catch (error) {
-      console.error('Could not notify tab:', tab.id, error);
-    }
+  await showRefreshProgress();
+}));
+
+// Start the device flow; the background keeps polling after the popup closes
+signInBtn.addEventListener('click', async () => {
+  signInStatus.textContent = 'Requesting a code…';
+  
+  const result = await chrome.runtime.sendMessage({ action: 'startSignIn' });
+  if (result.error) {
+    signInStatus.textContent = result.error;
+    return;
   }
   
-  // Visual feedback
-  refreshNamesBtn.textContent = '✓ Refreshed';
-  setTimeout(() => {
-    refreshNamesBtn.textContent = 'Refresh All Names';
-  }, 2000);
+  await loadSignIn();
+});
+
+debugSwitch.addEventListener('change', async () => {
+  await chrome.tabs.sendMessage(pageTab.id, { action: 'setDebugMode', enabled: debugSwitch.checked });
+  
+  copyReportBtn.hidden = !debugSwitch.checked;
+  debugStatus.textContent = debugSwitch.checked
+    ? 'Green: replaced, amber: pending, red: missed. Hover an element for the reason.'
+    : '';
+});
+
+// Pending and missed elements of the page as JSON, to attach to bug reports
+copyReportBtn.addEventListener('click', async () => {
+  const report = await chrome.tabs.sendMessage(pageTab.id, { action: 'getDebugReport' });
+  await navigator.clipboard.writeText(JSON.stringify(report, null, 2));
+  
+  const { pending, rejected } = report.counts;
+  debugStatus.textContent = `Copied a report of ${rejected} missed and ${pending} pending elements.`;
 });
 
-// Settings section toggle
-settingsHeader.addEventListener('click', () => {
-  const arrow = settingsHeader.querySelector('.settings-arrow');
-  arrow.classList.toggle('expanded');
-  settingsContent.classList.toggle('expanded');
+openVerificationBtn.addEventListener('click', async () => {
+  await navigator.clipboard.writeText(userCodeLabel.textContent);
+  chrome.tabs.create({ url: verificationUri });
 });
 
-// Handle token input focus
-tokenInput.addEventListener('focus', () => {
-  if (tokenInput.getAttribute('data-has-token') === 'true') {
-    tokenInput.value = '';
+signOutBtn.addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ action: 'signOut' });
+  await loadSignIn();
+  await loadRateLimitInfo();
+});
+
+// The background stores the account once the user entered the code
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.oauthAccount) {
+    loadRateLimitInfo();
   }
 });
 
-// Save token
-saveTokenBtn.addEventListener('click', async () => {
-  const token = tokenInput.value.trim();
-  
-  if (!token || token === '••••••••••••••••••••') {
-    return;
+// Rules edited on the options page: give the tab a moment to re-apply them
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.replacementRules) {
+    setTimeout(loadRulePreview, 200);
   }
+});
+
+exportDataBtn.addEventListener('click', async () => {
+  backupStatus.textContent = await exportData();
+});
+importDataBtn.addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', async () => {
+  const [file] = importFileInput.files;
+  if (!file) return;
   
-  // Validate token format (basic check)
-  if (!token.startsWith('ghp_') && !token.startsWith('github_pat_')) {
-    alert('Invalid token format. Token should start with "ghp_" or "github_pat_"');
+  const { error, report, pendingDirectorySource } = await importData(file, importStrategySelect.value);
+  importFileInput.value = '';
+  if (error) {
+    backupStatus.textContent = error;
     return;
   }
   
-  // Save token
-  await chrome.storage.local.set({ githubToken: token });
-  
-  // Clear all cached names and rate limit data to force re-fetch with new token
-  const { enabled } = await chrome.storage.local.get('enabled');
-  await chrome.storage.local.clear();
-  await chrome.storage.local.set({ enabled, githubToken: token });
-  
-  // Visual feedback
-  saveTokenBtn.textContent = '✓ Saved';
-  setTimeout(() => {
-    saveTokenBtn.textContent = 'Save';
-  }, 2000);
-  
-  // Reload status
-  await loadTokenStatus();
-  await loadRateLimitInfo();
-  
-  // Notify content scripts to clear cache and re-fetch
-  const tabs = await chrome.tabs.query({ url: 'https://github.com/*' });
-  for (const tab of tabs) {
-    try {
-      await chrome.tabs.sendMessage(tab.id, { action: 'refreshCache' });
-    } catch (error) {
-      // Tab might not have content script loaded yet
-      console.error('Could not notify tab:', tab.id, error);
-    }
+  // Access to the directory's host is asked for where the directory is saved
+  if (pendingDirectorySource) {
+    report.push('The team directory needs access to its host: import the file from All Settings to save it.');
   }
+  backupStatus.textContent = report.join(' ');
+  
+  await loadState();
 });
 
-// Remove token
-removeTokenBtn.addEventListener('click', async () => {
-  if (!confirm('Remove GitHub token? Rate limit will drop to 60 requests/hour.')) {
-    return;
-  }
-  
-  // Clear all cached names and token
-  const { enabled } = await chrome.storage.local.get('enabled');
-  await chrome.storage.local.clear();
-  await chrome.storage.local.set({ enabled });
-  
-  // Visual feedback
-  removeTokenBtn.textContent = '✓ Removed';
-  setTimeout(() => {
-    removeTokenBtn.textContent = 'Remove';
-  }, 2000);
-  
-  // Reload status
-  await loadTokenStatus();
-  await loadRateLimitInfo();
-  
-  // Notify content scripts to clear cache
-  const tabs = await chrome.tabs.query({ url: 'https://github.com/*' });
-  for (const tab of tabs) {
-    try {
-      await chrome.tabs.sendMessage(tab.id, { action: 'refreshCache' });
-    } catch (error) {
-      // Tab might not have content script loaded yet
-      console.error('Could not notify tab:', tab.id, error);
-    }
-  }
+// Everything else lives on the options page
+openOptionsBtn.addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
 });
 
 // Initialize
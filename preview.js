@@ -0,0 +1,34 @@
+'use strict';
+
+// Preview of the replacement rules that match a tab, shared by the popup
+// (the active tab) and the options page (the last GitHub tab used)
+
+const CONTEXT_LABELS = {
+  timeline: 'Timelines',
+  reviewers: 'Sidebar',
+  commits: 'Commits',
+  blame: 'Blame',
+  files: 'Files',
+  insights: 'Insights',
+  other: 'Other',
+};
+
+// Which repository rule and page context apply on the tab, and how many
+// names each context holds
+async function describeRuleMatch(tab) {
+  try {
+    const { repository, repositoryRule, pageContext, contexts } = await chrome.tabs.sendMessage(tab.id, { action: 'getRuleMatch' });
+    
+    const ruleText = repositoryRule
+      ? `rule "${repositoryRule.pattern}" ${repositoryRule.enabled ? 'replaces names' : 'keeps logins'}`
+      : 'no repository rule';
+    const counts = Object.entries(contexts)
+      .map(([context, count]) => `${CONTEXT_LABELS[context]}: ${count}`)
+      .join(', ');
+    
+    return `${repository} — ${ruleText}. Page: ${CONTEXT_LABELS[pageContext]}` + (counts ? ` (${counts})` : '');
+  } catch (error) {
+    // Not a GitHub tab, or the content script is not loaded
+    return 'Open a GitHub page to preview the matching rules.';
+  }
+}
@@ -0,0 +1,291 @@
+'use strict';
+
+// The background resolver against a mock GitHub API: requests sent, cache
+// writes, negative caching, retries and rate limit handling
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackground } = require('./helpers/background');
+const { startMockApi } = require('./helpers/mock-api');
+
+const HOUR = 60 * 60 * 1000;
+const USERS = {
+  jdoe: { name: 'Jane Doe', company: 'Acme' },
+  asmith: { name: 'Alice Smith' },
+  bwong: { name: null },
+};
+
+// Long enough for the GraphQL batch window and the requests to the mock
+function settle(ms = 150) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// login -> name of every namesUpdated message sent to the tab
+function getNamesUpdated(worker) {
+  const names = {};
+  worker.tabMessages
+    .filter(({ message }) => message.action === 'namesUpdated')
+    .forEach(({ message }) => {
+      for (const [login, record] of Object.entries(message.names)) names[login] = record.name;
+    });
+  return names;
+}
+
+async function startWorker(t, { api = {}, storage = {}, session = {} } = {}) {
+  const mock = await startMockApi({ users: structuredClone(USERS), ...api });
+  t.after(() => mock.close());
+  
+  const worker = loadBackground({ storage: { githubApiUrl: mock.url, ...storage }, session });
+  const resolveName = (username, priority = 'visible') =>
+    worker.sendMessage({ action: 'resolveName', username, priority });
+  
+  return { mock, worker, resolveName };
+}
+
+test('REST lookups are sent once per login and cached with their ETag', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t);
+  
+  const records = await Promise.all([resolveName('jdoe'), resolveName('jdoe'), resolveName('asmith'), resolveName('bwong')]);
+  
+  assert.deepEqual(records.map(record => record.name), ['Jane Doe', 'Jane Doe', 'Alice Smith', 'bwong']);
+  assert.deepEqual(records[0].profile.company, 'Acme');
+  assert.equal(mock.requestsTo('/users/jdoe').length, 1);
+  assert.equal(mock.requests.length, 3);
+  
+  const entry = worker.storage['cache:jdoe'];
+  assert.equal(entry.name, 'Jane Doe');
+  assert.equal(entry.source, 'rest');
+  assert.equal(entry.status, 200);
+  assert.equal(entry.result, 'name');
+  assert.match(entry.etag, /^".+"$/);
+  assert.equal(worker.storage['cache:bwong'].result, 'no-name');
+  
+  // Cached names need no request
+  assert.equal((await resolveName('jdoe')).name, 'Jane Doe');
+  assert.equal(mock.requests.length, 3);
+});
+
+test('stale entries are revalidated with If-None-Match and a 304 costs nothing', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t);
+  await resolveName('jdoe');
+  const { etag } = worker.storage['cache:jdoe'];
+  const { remaining } = worker.storage.rateLimitData;
+  
+  // A day and an hour later
+  worker.inspect('cacheEntries').get('jdoe').fetchedAt -= 25 * HOUR;
+  assert.equal((await resolveName('jdoe')).name, 'Jane Doe');
+  await settle();
+  
+  const [, revalidation] = mock.requestsTo('/users/jdoe');
+  assert.equal(revalidation.ifNoneMatch, etag);
+  assert.ok(Date.now() - worker.storage['cache:jdoe'].fetchedAt < HOUR);
+  assert.equal(worker.storage.rateLimitData.remaining, remaining);
+});
+
+test('missing users are cached as not found, with the shorter negative TTL', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t);
+  
+  assert.equal((await resolveName('ghost')).name, 'ghost');
+  
+  const entry = worker.storage['cache:ghost'];
+  assert.equal(entry.result, 'not-found');
+  assert.equal(entry.status, 404);
+  
+  await resolveName('ghost');
+  assert.equal(mock.requestsTo('/users/ghost').length, 1);
+  
+  // Past the 6 hour negative TTL, well within the default 24 hours
+  const isStale = worker.inspect('isCacheEntryStale');
+  assert.equal(isStale({ ...entry, fetchedAt: Date.now() - 7 * HOUR }), true);
+  assert.equal(isStale({ ...worker.storage['cache:ghost'], result: 'name', fetchedAt: Date.now() - 7 * HOUR }), false);
+});
+
+test('server errors are not cached and the login waits for a retry', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t, { api: { users: { jdoe: { status: 502 } } } });
+  
+  assert.equal((await resolveName('jdoe')).name, 'jdoe');
+  assert.equal(worker.storage['cache:jdoe'], undefined);
+  assert.equal(worker.session.failedLookups.jdoe.attempts, 1);
+  assert.ok(worker.alarms.has('retryFailedLookups'));
+  
+  // Not asked again before the retry time
+  await resolveName('jdoe');
+  assert.equal(mock.requestsTo('/users/jdoe').length, 1);
+});
+
+test('a 401 or a 429 is retried, with or without a token, not cached as not found', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t, {
+    api: { users: { ...USERS, jdoe: { status: 401 }, asmith: { status: 429 } } },
+  });
+  
+  assert.equal((await resolveName('jdoe')).name, 'jdoe');
+  assert.equal((await resolveName('asmith')).name, 'asmith');
+  assert.equal(worker.storage['cache:jdoe'], undefined);
+  assert.equal(worker.storage['cache:asmith'], undefined);
+  assert.equal(worker.session.failedLookups.jdoe.attempts, 1);
+  assert.equal(worker.session.failedLookups.asmith.attempts, 1);
+  
+  // A pasted token that GitHub rejects fails the whole GraphQL query
+  const withToken = loadBackground({ storage: { githubApiUrl: mock.url, githubToken: 'ghp_revoked' } });
+  const records = await Promise.all(['jdoe', 'bwong'].map(username =>
+    withToken.sendMessage({ action: 'resolveName', username, priority: 'offscreen' })));
+  
+  assert.deepEqual(records.map(record => record.name), ['jdoe', 'bwong']);
+  assert.equal(mock.requestsTo('/graphql').length, 1);
+  assert.equal(withToken.storage['cache:jdoe'], undefined);
+  assert.equal(withToken.storage['cache:bwong'], undefined);
+  assert.equal(withToken.session.failedLookups.jdoe.attempts, 1);
+  assert.equal(withToken.session.failedLookups.bwong.attempts, 1);
+  assert.equal(withToken.storage.githubToken, 'ghp_revoked');
+});
+
+test('a 401 while signed in to GitHub signs out as revoked', async (t) => {
+  const { worker, resolveName } = await startWorker(t, {
+    api: { users: { ...USERS, jdoe: { status: 401 } } },
+    storage: { oauthAccount: { login: 'jdoe', expiresAt: null, scopes: '', status: 'signed-in' } },
+  });
+  worker.inspect("oauthToken = { accessToken: 'gho_test', expiresAt: null }");
+  
+  assert.equal((await resolveName('jdoe', 'offscreen')).name, 'jdoe');
+  await settle();
+  
+  assert.equal(worker.storage.oauthAccount.status, 'revoked');
+  assert.equal(worker.storage.oauthAccount.login, 'jdoe');
+  assert.equal(worker.inspect('oauthToken'), null);
+  assert.equal(worker.storage['cache:jdoe'], undefined);
+  assert.equal(worker.session.failedLookups.jdoe.attempts, 1);
+});
+
+test('rate limit headers are stored and lookups pause until the reset', async (t) => {
+  const reset = Math.floor(Date.now() / 1000) + 600;
+  const { mock, worker, resolveName } = await startWorker(t, { api: { rateLimit: { remaining: 5, reset } } });
+  
+  await resolveName('jdoe');
+  assert.deepEqual({ ...worker.storage.rateLimitData }, { limit: 60, remaining: 4, reset });
+  await resolveName('asmith');
+  assert.equal(worker.storage.rateLimitData.remaining, 3);
+  
+  // 3 requests left is the reserve: nothing more is sent
+  assert.equal((await resolveName('bwong')).name, 'bwong');
+  assert.equal(mock.requestsTo('/users/bwong').length, 0);
+  assert.equal(worker.session.failedLookups.bwong.retryAt, reset * 1000);
+});
+
+test('a 403 with Retry-After schedules the retry for then', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t);
+  mock.failure = { status: 403, headers: { 'Retry-After': '120' } };
+  
+  await resolveName('jdoe');
+  
+  const { retryAt } = worker.session.failedLookups.jdoe;
+  assert.ok(Math.abs(retryAt - (Date.now() + 120 * 1000)) < 5000);
+  assert.equal(worker.storage['cache:jdoe'], undefined);
+});
+
+test('the Failed refresh fetches failed lookups again and tells open tabs', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t, { api: { users: { ...USERS, asmith: { status: 502 } } } });
+  
+  await resolveName('asmith');
+  assert.equal(worker.session.failedLookups.asmith.attempts, 1);
+  
+  mock.users.asmith = USERS.asmith;
+  const progress = await worker.sendMessage({ action: 'refreshNames', mode: 'failed' });
+  assert.equal(progress.total, 1);
+  await settle();
+  
+  assert.equal(worker.storage['cache:asmith'].name, 'Alice Smith');
+  assert.equal(worker.session.failedLookups.asmith, undefined);
+  assert.deepEqual(getNamesUpdated(worker), { asmith: 'Alice Smith' });
+});
+
+test('with a token, logins are batched into one GraphQL query', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t, { storage: { githubToken: 'ghp_test' } });
+  
+  const records = await Promise.all(['jdoe', 'asmith', 'bwong', 'ghost'].map(login => resolveName(login, 'offscreen')));
+  
+  assert.deepEqual(records.map(record => record.name), ['Jane Doe', 'Alice Smith', 'bwong', 'ghost']);
+  assert.equal(mock.requests.length, 1);
+  assert.equal(mock.requests[0].path, '/graphql');
+  assert.deepEqual(Object.values(mock.requests[0].body.variables).sort(), ['asmith', 'bwong', 'ghost', 'jdoe']);
+  
+  // GraphQL has no ETags
+  assert.equal(worker.storage['cache:jdoe'].source, 'graphql');
+  assert.equal(worker.storage['cache:jdoe'].etag, null);
+  assert.equal(worker.storage['cache:ghost'].result, 'not-found');
+});
+
+test('GraphQL errors for the whole query are retried, not cached as not found', async (t) => {
+  const { mock, worker, resolveName } = await startWorker(t, { storage: { githubToken: 'ghp_test' } });
+  mock.graphqlBody = { errors: [{ type: 'RATE_LIMITED', message: 'API rate limit exceeded' }] };
+  
+  const records = await Promise.all(['jdoe', 'asmith'].map(login => resolveName(login, 'offscreen')));
+  
+  assert.deepEqual(records.map(record => record.name), ['jdoe', 'asmith']);
+  assert.equal(worker.storage['cache:jdoe'], undefined);
+  assert.equal(worker.storage['cache:asmith'], undefined);
+  assert.equal(worker.session.failedLookups.jdoe.attempts, 1);
+  assert.equal(worker.session.failedLookups.asmith.attempts, 1);
+  
+  // Data without the alias and without its own NOT_FOUND is no answer either
+  mock.graphqlBody = { data: {} };
+  await resolveName('bwong');
+  assert.equal(worker.storage['cache:bwong'], undefined);
+  assert.equal(worker.session.failedLookups.bwong.attempts, 1);
+});
+
+test('commit and organisation lookups share the queue, its dedup and the rate limit pause', async (t) => {
+  const sha = '0123456789abcdef0123456789abcdef01234567';
+  const { mock, worker } = await startWorker(t, {
+    api: { commits: { [`acme/widgets@${sha}`]: { login: null, name: 'Jane Q. Doe', email: 'jane@example.com' } }, orgs: { acme: 'Acme Inc.' } },
+  });
+  const resolveCommitAuthor = () => worker.sendMessage({ action: 'resolveCommitAuthor', repository: 'acme/widgets', sha });
+  const resolveOrgName = () => worker.sendMessage({ action: 'resolveOrgName', org: 'acme' });
+  
+  const [author, sameAuthor, org, sameOrg] = await Promise.all([resolveCommitAuthor(), resolveCommitAuthor(), resolveOrgName(), resolveOrgName()]);
+  
+  assert.equal(author.name, 'Jane Q. Doe');
+  assert.deepEqual(sameAuthor, author);
+  assert.equal(org, 'Acme Inc.');
+  assert.equal(sameOrg, org);
+  assert.equal(mock.requests.length, 2);
+  assert.equal(worker.storage[`cache:commit:acme/widgets@${sha}`].source, 'git');
+  assert.equal(worker.storage['cache:org:acme'].name, 'Acme Inc.');
+  
+  // No more than MAX_CONCURRENT_REQUESTS are open at once
+  mock.delay = 50;
+  await Promise.all(['1', '2', '3', '4', '5', '6'].map(digit =>
+    worker.sendMessage({ action: 'resolveCommitAuthor', repository: 'acme/widgets', sha: digit.repeat(40) })));
+  assert.equal(mock.maxOpen, 4);
+  const sent = mock.requests.length;
+  
+  // At the reserve, commit lookups wait like name lookups do
+  mock.rateLimit.remaining = 4;
+  await worker.sendMessage({ action: 'resolveOrgName', org: 'acme', team: 'core' });
+  assert.equal(worker.storage.rateLimitData.remaining, 3);
+  assert.equal(await worker.sendMessage({ action: 'resolveCommitAuthor', repository: 'acme/widgets', sha: 'f'.repeat(40) }), null);
+  assert.equal(mock.requests.length, sent + 1);
+});
+
+test('a token change keeps cached names and retries the failed lookups', async (t) => {
+  const reset = Math.floor(Date.now() / 1000) + 600;
+  const { mock, worker, resolveName } = await startWorker(t, { api: { rateLimit: { remaining: 4, reset } } });
+  
+  await resolveName('jdoe');
+  await resolveName('asmith');
+  assert.equal(worker.session.failedLookups.asmith.retryAt, reset * 1000);
+  
+  // A new token brings a new budget
+  mock.rateLimit.remaining = 5000;
+  mock.rateLimit.limit = 5000;
+  await worker.sendMessage({ action: 'tokenChanged', host: 'github.com' });
+  await settle();
+  
+  assert.equal(worker.storage['cache:jdoe'].name, 'Jane Doe');
+  assert.equal(mock.requestsTo('/users/jdoe').length, 1);
+  assert.equal(worker.storage['cache:asmith'].name, 'Alice Smith');
+  assert.equal(worker.session.failedLookups.asmith, undefined);
+  assert.equal(worker.storage.rateLimitData.limit, 5000);
+  
+  // Only the recovered name is pushed to open tabs
+  assert.deepEqual(getNamesUpdated(worker), { asmith: 'Alice Smith' });
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+// Username extraction and replacement on saved GitHub pages, one fixture per
+// surface in USERNAME_EXTRACTORS
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, getProcessedLogins, wait } = require('./helpers/content');
+
+const NAMES = {
+  jdoe: 'Jane Doe',
+  asmith: 'Alice Smith',
+  bwong: 'Bo Wong',
+  cdiaz: 'Carla Diaz',
+};
+
+// `id`: the fixture, and the extractor of its surface unless `extractor`
+// names another. `logins`: what is extracted (and shown as) on the page.
+// `surface`: the logins only that extractor finds, gone when it is switched off.
+const SURFACES = [
+  {
+    id: 'timeline',
+    url: 'https://github.com/acme/widgets/pull/7',
+    logins: { jdoe: ['Jane Doe'], asmith: ['Alice Smith'], bwong: ['Bo Wong'] },
+    // a.commit-author is also a user link, found by the links extractor
+    surface: ['jdoe'],
+  },
+  {
+    id: 'reviewers',
+    url: 'https://github.com/acme/widgets/pull/7',
+    logins: { cdiaz: ['Carla Diaz'], asmith: ['Alice Smith'] },
+    surface: ['cdiaz', 'asmith'],
+  },
+  {
+    id: 'commits',
+    url: 'https://github.com/acme/widgets/commits/main',
+    logins: { jdoe: ['Jane Doe'], bwong: ['Bo Wong'] },
+    surface: ['jdoe', 'bwong'],
+  },
+  {
+    id: 'blame',
+    url: 'https://github.com/acme/widgets/blame/main/src/widget.js',
+    logins: { asmith: ['Alice Smith'], cdiaz: ['Carla Diaz'] },
+    surface: ['asmith', 'cdiaz'],
+  },
+  {
+    id: 'projects',
+    url: 'https://github.com/orgs/acme/projects/3/views/1',
+    logins: { bwong: ['Bo Wong'], cdiaz: ['Carla Diaz'] },
+    surface: ['bwong', 'cdiaz'],
+  },
+  {
+    id: 'discussions',
+    url: 'https://github.com/acme/widgets/discussions/42',
+    logins: { jdoe: ['Jane Doe'], asmith: ['Alice Smith'] },
+    surface: ['jdoe', 'asmith'],
+  },
+  {
+    id: 'actions',
+    url: 'https://github.com/acme/widgets/actions',
+    logins: { cdiaz: ['Carla Diaz'], bwong: ['Bo Wong'] },
+    surface: ['cdiaz', 'bwong'],
+  },
+  {
+    id: 'links',
+    url: 'https://github.com/acme/widgets/issues',
+    // octocat has no profile name, so the login stays
+    logins: { jdoe: ['Jane Doe'], asmith: ['Alice Smith'], bwong: ['Bo Wong'], octocat: ['octocat'] },
+    surface: ['jdoe', 'asmith', 'bwong', 'octocat'],
+  },
+  {
+    id: 'profile',
+    extractor: 'links',
+    url: 'https://github.com/jdoe',
+    // The profile's own login in the header is text, not a link
+    logins: { asmith: ['Alice Smith'], bwong: ['Bo Wong'] },
+    surface: ['asmith', 'bwong'],
+  },
+  {
+    id: 'search',
+    extractor: 'links',
+    url: 'https://github.com/search?q=widget&type=issues',
+    logins: { cdiaz: ['Carla Diaz'], jdoe: ['Jane Doe'] },
+    surface: ['cdiaz', 'jdoe'],
+  },
+];
+
+for (const { id, extractor = id, url, logins, surface } of SURFACES) {
+  test(`${id}: extracts logins and replaces them with names`, async () => {
+    const page = await loadPage(id, { url, names: NAMES });
+    
+    assert.deepEqual(getProcessedLogins(page.document), logins);
+    page.close();
+  });
+  
+  test(`${id}: switching the extractor off leaves its logins alone`, async () => {
+    const page = await loadPage(id, { url, names: NAMES, storage: { extractorSettings: { [extractor]: false } } });
+    
+    const processed = Object.keys(getProcessedLogins(page.document));
+    assert.deepEqual(processed.filter(login => surface.includes(login)), []);
+    page.close();
+  });
+}
+
+test('rejected elements keep their text and record why', async () => {
+  const page = await loadPage('timeline', { url: 'https://github.com/acme/widgets/pull/7', names: NAMES });
+  const { document, window } = page;
+  
+  const button = document.querySelector('a[role="button"]');
+  const files = document.querySelector('a[href$="/files"]');
+  assert.equal(button.textContent, 'jdoe');
+  assert.equal(files.textContent, 'Files changed 3');
+  assert.equal(window.eval('rejectedElements').get(button), 'button');
+  assert.equal(window.eval('rejectedElements').get(files), 'navigation text');
+  page.close();
+});
+
+test('text scanning leaves the links and buttons extractors rejected alone', async () => {
+  const page = await loadPage('timeline', {
+    url: 'https://github.com/acme/widgets/pull/7',
+    names: NAMES,
+    storage: { textScanning: true },
+  });
+  const { document, window } = page;
+  
+  const button = document.querySelector('a[role="button"]');
+  assert.equal(button.textContent, 'jdoe');
+  assert.equal(button.querySelector('[data-github-realnames-username]'), null);
+  assert.equal(window.eval('rejectedElements').get(button), 'button');
+  assert.equal(document.querySelector('a[href$="/files"]').textContent, 'Files changed 3');
+  page.close();
+});
+
+test('switching names off shows the logins again, and on shows the names', async () => {
+  const page = await loadPage('links', { url: 'https://github.com/acme/widgets/issues', names: NAMES });
+  
+  await page.sendToTab({ action: 'toggle', enabled: false });
+  
+  assert.deepEqual(getProcessedLogins(page.document), {
+    jdoe: ['jdoe'], asmith: ['asmith'], bwong: ['@bwong'], octocat: ['octocat'],
+  });
+  
+  await page.sendToTab({ action: 'toggle', enabled: true });
+  await wait();
+  
+  assert.deepEqual(getProcessedLogins(page.document), SURFACES.find(({ id }) => id === 'links').logins);
+  page.close();
+});
+
+test('refreshCache fetches names again for elements already replaced', async () => {
+  const names = { ...NAMES };
+  const page = await loadPage('links', { url: 'https://github.com/acme/widgets/issues', names });
+  assert.deepEqual(getProcessedLogins(page.document).jdoe, ['Jane Doe']);
+  
+  names.jdoe = 'Janet Doe';
+  await page.sendToTab({ action: 'refreshCache' });
+  await wait();
+  
+  assert.deepEqual(getProcessedLogins(page.document), {
+    jdoe: ['Janet Doe'], asmith: ['Alice Smith'], bwong: ['Bo Wong'], octocat: ['octocat'],
+  });
+  const lookups = page.sentMessages.filter(message => message.action === 'resolveName' && message.username === 'jdoe');
+  assert.equal(lookups.length, 2);
+  page.close();
+});
+
+test('git author names never stand in for the profile of a matching login', async () => {
+  const page = await loadPage('commit-authors', {
+    url: 'https://github.com/acme/widgets/commits/main',
+    names: NAMES,
+    commitAuthors: {
+      '0123456789abcdef0123456789abcdef01234567': { login: null, name: 'Jane Q. Doe', email: 'jane@example.com' },
+    },
+  });
+  const { document, sentMessages } = page;
+  
+  assert.equal(document.querySelector('[data-testid="author-name"]').textContent, 'Jane Q. Doe');
+  assert.equal(document.querySelector('a[href="/jdoe"]').textContent, 'Jane Doe');
+  assert.ok(sentMessages.some(message => message.action === 'resolveName' && message.username === 'jdoe'));
+  
+  // Only real logins are offered to the popup's "this page" refresh
+  assert.deepEqual([...await page.sendToTab({ action: 'getPageLogins' })], ['jdoe']);
+  page.close();
+});
+
+test('display templates drop only the template text around an empty field', async () => {
+  const page = await loadPage('links', { url: 'https://github.com/acme/widgets/issues', names: NAMES });
+  const format = (template, name, company) =>
+    page.window.formatDisplayName(template, name, 'jdoe', company ? { company } : {});
+  
+  assert.equal(format('{name} · {company}', 'Jane Doe'), 'Jane Doe');
+  assert.equal(format('{company} · {name}', 'Jane Doe'), 'Jane Doe');
+  assert.equal(format('{name} ({company})', 'Jane Doe'), 'Jane Doe');
+  assert.equal(format('{first} · {company} · {login}', 'Jane Doe'), 'Jane · jdoe');
+  // Separators inside values stay
+  assert.equal(format('{name} · {company}', 'Jane Doe', 'foo-'), 'Jane Doe · foo-');
+  assert.equal(format('{name}', 'Jane Doe -'), 'Jane Doe -');
+  // Initials skip empty parts and are only computed when used
+  assert.equal(format('{initials}', '  Jane   Doe '), 'JD');
+  assert.equal(format('{login}', ''), 'jdoe');
+  page.close();
+});
+
+test('replacement contexts come from the extractor scopes and paths', async () => {
+  const contextOf = (page, selector) => page.window.getReplacementContext(selector && page.document.querySelector(selector));
+  
+  const timeline = await loadPage('timeline', { url: 'https://github.com/acme/widgets/pull/7', names: NAMES });
+  assert.equal(contextOf(timeline, 'a.Link--primary[href="/jdoe"]'), 'timeline');
+  assert.equal(contextOf(timeline, null), 'other');
+  timeline.close();
+  
+  const blame = await loadPage('blame', { url: 'https://github.com/acme/widgets/blame/main/src/widget.js', names: NAMES });
+  assert.equal(contextOf(blame, null), 'blame');
+  blame.close();
+  
+  const files = await loadPage('links', { url: 'https://github.com/acme/widgets/tree/main/src', names: NAMES });
+  assert.equal(contextOf(files, 'a[href="/jdoe"]'), 'files');
+  files.close();
+  
+  // A context switched off keeps the logins of its scope
+  const reviewers = await loadPage('reviewers', {
+    url: 'https://github.com/acme/widgets/pull/7',
+    names: NAMES,
+    storage: { replacementRules: { contexts: { reviewers: false }, repositories: [] } },
+  });
+  assert.equal(contextOf(reviewers, 'a[href="/cdiaz"]'), 'reviewers');
+  assert.deepEqual(getProcessedLogins(reviewers.document), { cdiaz: ['cdiaz'], asmith: ['asmith'] });
+  reviewers.close();
+});
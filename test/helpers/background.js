@@ -0,0 +1,144 @@
+'use strict';
+
+// Loads the background service worker the way Chrome does: background.js and
+// the files it pulls in with importScripts, in one global scope. Every call
+// gets a fresh worker (its own cache, queue and rate limit state) over
+// in-memory chrome.storage; alarms, context menus, tabs and scripting are
+// stubbed, with one open GitHub tab whose messages are recorded. Requests go to the real network stack, so point `githubApiUrl`
+// at the mock API (./mock-api.js).
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const PAGE_URL = 'https://github.com/acme/widgets/pull/7';
+
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+// importScripts() is replaced by the files it names, so the whole worker
+// is one function body; `inspect` reads its top-level bindings.
+function buildWorkerSource() {
+  const read = file => fs.readFileSync(path.join(ROOT, file), 'utf8');
+  const worker = read(manifest.background.service_worker).replace(
+    /importScripts\(([^)]*)\);/,
+    (match, files) => files.split(',').map(file => read(file.trim().slice(1, -1))).join('\n;\n')
+  );
+  return `${worker}\n;\nreturn (expression) => eval(expression);`;
+}
+
+function createStorageArea(areaName, items, listeners) {
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return structuredClone(items);
+    const list = Array.isArray(keys) ? keys : [keys];
+    return structuredClone(Object.fromEntries(list.filter(key => key in items).map(key => [key, items[key]])));
+  };
+  
+  // Chrome reports changes after the write, never during it
+  const notify = (changes) => queueMicrotask(() => listeners.forEach(listener => listener(changes, areaName)));
+  
+  return {
+    get: async (keys) => pick(keys),
+    set: async (values) => {
+      const changes = {};
+      for (const [key, value] of Object.entries(values)) {
+        changes[key] = { oldValue: items[key], newValue: structuredClone(value) };
+        items[key] = structuredClone(value);
+      }
+      notify(changes);
+    },
+    remove: async (keys) => {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (!(key in items)) continue;
+        changes[key] = { oldValue: items[key] };
+        delete items[key];
+      }
+      notify(changes);
+    },
+  };
+}
+
+function createChromeStub({ local, session }) {
+  const storageListeners = [];
+  const messageListeners = [];
+  const tabMessages = [];
+  const event = listeners => ({ addListener: listener => listeners.push(listener) });
+  const alarms = new Map();
+  
+  const chrome = {
+    storage: {
+      local: createStorageArea('local', local, storageListeners),
+      session: createStorageArea('session', session, storageListeners),
+      onChanged: event(storageListeners),
+    },
+    runtime: {
+      onInstalled: event([]),
+      onMessage: event(messageListeners),
+      getManifest: () => manifest,
+    },
+    alarms: {
+      create: (name, info) => { alarms.set(name, { name, ...info }); },
+      clear: async (name) => alarms.delete(name),
+      get: async (name) => alarms.get(name),
+      onAlarm: event([]),
+    },
+    contextMenus: {
+      create: () => {},
+      update: async () => {},
+      onClicked: event([]),
+    },
+    tabs: {
+      query: async () => [{ id: 1, url: PAGE_URL }],
+      sendMessage: async (tabId, message) => {
+        tabMessages.push({ tabId, message: structuredClone(message) });
+      },
+    },
+    scripting: {
+      getRegisteredContentScripts: async () => [],
+      registerContentScripts: async () => {},
+      unregisterContentScripts: async () => {},
+    },
+  };
+  
+  return { chrome, messageListeners, alarms, tabMessages };
+}
+
+// Start a worker over `storage` (chrome.storage.local) and `session`.
+// Returns both storage areas, sendMessage() to talk to it like a tab or the
+// popup, the messages it sent to the tab (`tabMessages`), and inspect() to
+// read its state (e.g. inspect('lookupQueue')).
+// Its console output is kept in `logs` rather than printed.
+function loadBackground({ storage = {}, session = {} } = {}) {
+  const local = structuredClone(storage);
+  const sessionItems = structuredClone(session);
+  const stub = createChromeStub({ local, session: sessionItems });
+  const logs = [];
+  const record = level => (...args) => logs.push({ level, message: args.map(String).join(' ') });
+  const workerConsole = { log: record('log'), warn: record('warn'), error: record('error') };
+  
+  const inspect = new Function('chrome', 'console', buildWorkerSource())(stub.chrome, workerConsole);
+  
+  const sendMessage = (message, sender = { url: PAGE_URL, tab: { id: 1 } }) => new Promise((resolve) => {
+    let answered = false;
+    for (const listener of stub.messageListeners) {
+      const keepOpen = listener(message, sender, (response) => {
+        answered = true;
+        resolve(response);
+      });
+      if (keepOpen || answered) return;
+    }
+    resolve(undefined);
+  });
+  
+  return {
+    storage: local,
+    session: sessionItems,
+    alarms: stub.alarms,
+    tabMessages: stub.tabMessages,
+    logs,
+    sendMessage,
+    inspect,
+  };
+}
+
+module.exports = { loadBackground };
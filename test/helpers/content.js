@@ -0,0 +1,166 @@
+'use strict';
+
+// Loads the content scripts into a jsdom page the way Chrome does: every file
+// of the manifest's content_scripts entry, in order, concatenated into one
+// classic script so they share a global scope. chrome.storage and
+// chrome.runtime are stubbed; the background resolver answers from a fixed
+// table of names.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+const SETTLE_DELAY = 400; // Longer than the observer, text scan and debug debounces
+
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+const contentScripts = manifest.content_scripts[0].js
+  .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+  .join('\n;\n');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, `${name}.html`), 'utf8');
+}
+
+// Resolves like the background: names from `names`, the login itself otherwise
+function createChromeStub({ storage, names, commitAuthors }) {
+  const storageListeners = [];
+  const messageListeners = [];
+  const sentMessages = [];
+  
+  const pick = (keys) => {
+    if (keys === null || keys === undefined) return { ...storage };
+    const list = Array.isArray(keys) ? keys : [keys];
+    return Object.fromEntries(list.filter(key => key in storage).map(key => [key, storage[key]]));
+  };
+  
+  const notifyStorage = (changes) => {
+    storageListeners.forEach(listener => listener(changes, 'local'));
+  };
+  
+  const respond = (message) => {
+    switch (message.action) {
+      case 'resolveName':
+        return { name: names[message.username] || message.username, profile: {} };
+      case 'resolveCommitAuthor':
+        return commitAuthors[message.sha] || null;
+      case 'searchNames':
+        return [];
+      default:
+        return null;
+    }
+  };
+  
+  const chrome = {
+    storage: {
+      local: {
+        get: async (keys) => pick(keys),
+        set: async (items) => {
+          const changes = {};
+          for (const [key, value] of Object.entries(items)) {
+            changes[key] = { oldValue: storage[key], newValue: value };
+            storage[key] = value;
+          }
+          notifyStorage(changes);
+        },
+        remove: async (keys) => {
+          const changes = {};
+          for (const key of [].concat(keys)) {
+            changes[key] = { oldValue: storage[key] };
+            delete storage[key];
+          }
+          notifyStorage(changes);
+        },
+      },
+      onChanged: { addListener: listener => storageListeners.push(listener) },
+    },
+    runtime: {
+      sendMessage: async (message) => {
+        sentMessages.push(message);
+        return respond(message);
+      },
+      onMessage: { addListener: listener => messageListeners.push(listener) },
+      getManifest: () => manifest,
+    },
+  };
+  
+  return { chrome, sentMessages, messageListeners };
+}
+
+// Elements are "visible" as soon as they are observed
+function installBrowserStubs(window) {
+  window.IntersectionObserver = class {
+    constructor(callback) {
+      this.callback = callback;
+    }
+    
+    observe(target) {
+      window.setTimeout(() => this.callback([{ target, isIntersecting: true }]), 0);
+    }
+    
+    unobserve() {}
+    disconnect() {}
+  };
+  
+  window.CSS = window.CSS || {};
+  window.CSS.escape = window.CSS.escape || (value => String(value).replace(/["\\]/g, '\\$&'));
+}
+
+function wait(ms = SETTLE_DELAY) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Open a fixture at a GitHub URL and run the content scripts on it.
+// Returns the window, the messages sent to the background, and sendToTab()
+// to deliver a message from the popup or background.
+async function loadPage(fixture, { url, storage = {}, names = {}, commitAuthors = {} }) {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => console.error(...args));
+  virtualConsole.on('jsdomError', error => console.error(error));
+  
+  // Fixtures hold no scripts of their own; 'dangerously' only runs ours
+  const dom = new JSDOM(loadFixture(fixture), { url, runScripts: 'dangerously', virtualConsole });
+  const { window } = dom;
+  const stub = createChromeStub({ storage: { ...storage }, names, commitAuthors });
+  
+  installBrowserStubs(window);
+  window.chrome = stub.chrome;
+  const script = window.document.createElement('script');
+  script.textContent = contentScripts;
+  window.document.head.appendChild(script);
+  
+  await wait();
+  
+  const sendToTab = (message) => new Promise((resolve) => {
+    let answered = false;
+    for (const listener of stub.messageListeners) {
+      const keepOpen = listener(message, {}, (response) => {
+        answered = true;
+        resolve(response);
+      });
+      if (keepOpen || answered) return;
+    }
+    resolve(undefined);
+  });
+  
+  return {
+    window,
+    document: window.document,
+    sentMessages: stub.sentMessages,
+    sendToTab,
+    close: () => window.close(),
+  };
+}
+
+// login -> shown texts of the elements tagged with it
+function getProcessedLogins(document) {
+  const logins = {};
+  document.querySelectorAll('[data-github-realnames-username]').forEach(element => {
+    const login = element.getAttribute('data-github-realnames-username');
+    (logins[login] = logins[login] || []).push(element.textContent.trim());
+  });
+  return logins;
+}
+
+module.exports = { loadPage, getProcessedLogins, wait };
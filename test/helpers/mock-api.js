@@ -0,0 +1,159 @@
+'use strict';
+
+// A local stand-in for the GitHub API, the kind README's "Testing against a
+// mock API" describes: REST users with ETags and 304s, aliased GraphQL user
+// lookups, commits and organisations, and X-RateLimit-* headers on every
+// answer. Responses are scripted from plain objects the tests can change
+// between requests; every request is recorded.
+
+const http = require('node:http');
+
+const RATE_LIMIT = 60; // Requests per window, like an unauthenticated client
+const RATE_LIMIT_WINDOW = 3600; // Seconds until the window resets
+
+// `users`: login -> { name, company, ... } or { status } to answer with an
+// error, such as 401 (bad credentials), 429 (rate limited) or 502; a GraphQL
+// query that asks for such a user fails as a whole with that status, the way
+// GitHub answers those. `commits`: "<owner>/<repo>@<sha>" -> { login, name, email }.
+// `orgs`: org -> name. `rateLimit`: { limit, remaining, reset } sent in the
+// headers; remaining counts down with every request except 304s. `delay`
+// (ms) holds every answer back, to see how many requests are open at once.
+async function startMockApi({ users = {}, commits = {}, orgs = {}, rateLimit = {}, delay = 0 } = {}) {
+  const state = {
+    delay,
+    users,
+    commits,
+    orgs,
+    rateLimit: {
+      limit: RATE_LIMIT,
+      remaining: RATE_LIMIT,
+      reset: Math.floor(Date.now() / 1000) + RATE_LIMIT_WINDOW,
+      ...rateLimit,
+    },
+    // Answered instead of the scripted response while set: { status, headers }
+    failure: null,
+    // Body answered to GraphQL queries (with a 200) while set, to script
+    // errors: { errors: [{ type: 'RATE_LIMITED', message }] } for the whole
+    // query, or { data, errors: [{ type, path: [alias], message }] } per alias
+    graphqlBody: null,
+    requests: [],
+    open: 0,
+    maxOpen: 0,
+  };
+  
+  // Changes whenever the user does, so revalidations see edits
+  const etagFor = (login) => `"${Buffer.from(JSON.stringify(state.users[login])).toString('base64url')}"`;
+  
+  const send = (response, status, body, headers = {}) => {
+    if (status !== 304) {
+      state.rateLimit.remaining = Math.max(state.rateLimit.remaining - 1, 0);
+    }
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      'X-RateLimit-Limit': String(state.rateLimit.limit),
+      'X-RateLimit-Remaining': String(state.rateLimit.remaining),
+      'X-RateLimit-Reset': String(state.rateLimit.reset),
+      ...headers,
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body));
+    state.open--;
+  };
+  
+  const answerUser = (request, response, login) => {
+    const user = state.users[login];
+    if (!user) return send(response, 404, { message: 'Not Found' });
+    if (user.status) return send(response, user.status, { message: 'Scripted failure' });
+    
+    const etag = etagFor(login);
+    if (request.headers['if-none-match'] === etag) return send(response, 304, undefined, { ETag: etag });
+    send(response, 200, { login, ...user }, { ETag: etag });
+  };
+  
+  // Answers every aliased `uN: user(login: $lN)` field of the query
+  const answerGraphQL = (response, { query, variables }) => {
+    if (state.graphqlBody) return send(response, 200, state.graphqlBody);
+    
+    const fields = [...query.matchAll(/(\w+): user\(login: \$(\w+)\)/g)];
+    const failing = fields.map(([, , variable]) => state.users[variables[variable]]).find(user => user?.status);
+    if (failing) return send(response, failing.status, { message: 'Scripted failure' });
+    
+    const data = {};
+    const errors = [];
+    for (const [, alias, variable] of fields) {
+      const login = variables[variable];
+      const user = state.users[login];
+      if (user) {
+        data[alias] = { login, name: null, company: null, location: null, pronouns: null, ...user };
+      } else {
+        data[alias] = null;
+        errors.push({ type: 'NOT_FOUND', path: [alias], message: `Could not resolve to a User with the login of '${login}'.` });
+      }
+    }
+    send(response, 200, errors.length > 0 ? { data, errors } : { data });
+  };
+  
+  const route = (request, response, body) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    let match;
+    
+    if (request.method === 'POST' && pathname === '/graphql') {
+      return answerGraphQL(response, JSON.parse(body));
+    }
+    if ((match = pathname.match(/^\/users\/([^\/]+)$/))) {
+      return answerUser(request, response, match[1]);
+    }
+    if ((match = pathname.match(/^\/repos\/([^\/]+\/[^\/]+)\/commits\/(\w+)$/))) {
+      const commit = state.commits[`${match[1]}@${match[2]}`];
+      if (!commit) return send(response, 404, { message: 'Not Found' });
+      return send(response, 200, {
+        sha: match[2],
+        author: commit.login ? { login: commit.login } : null,
+        commit: { author: { name: commit.name, email: commit.email } },
+      });
+    }
+    if ((match = pathname.match(/^\/orgs\/([^\/]+)$/))) {
+      if (!(match[1] in state.orgs)) return send(response, 404, { message: 'Not Found' });
+      return send(response, 200, { login: match[1], name: state.orgs[match[1]] });
+    }
+    send(response, 404, { message: 'Not Found' });
+  };
+  
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', async () => {
+      state.open++;
+      state.maxOpen = Math.max(state.maxOpen, state.open);
+      if (state.delay) await new Promise(resolve => setTimeout(resolve, state.delay));
+      
+      const { pathname } = new URL(request.url, 'http://localhost');
+      state.requests.push({
+        method: request.method,
+        path: pathname,
+        ifNoneMatch: request.headers['if-none-match'] || null,
+        body: body ? JSON.parse(body) : null,
+      });
+      
+      if (state.failure) {
+        const { status, headers = {} } = state.failure;
+        return send(response, status, { message: 'Scripted failure' }, headers);
+      }
+      route(request, response, body);
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return Object.assign(state, {
+    url: `http://127.0.0.1:${server.address().port}`,
+    // Recorded requests to a path (a string or a RegExp)
+    requestsTo: (path) => state.requests.filter(request =>
+      typeof path === 'string' ? request.path === path : path.test(request.path)),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  });
+}
+
+module.exports = { startMockApi };
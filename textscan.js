@@ -0,0 +1,165 @@
+'use strict';
+
+// Text scanning mode (loaded after content.js)
+// Logins that appear as plain text ("X and Y reviewed", `author:foo` chips,
+// sidebar spans, "triggered by" lines) are not links, so the username
+// extractors never see them. Inside approved containers, known logins
+// (already in nameCache, or overridden) are wrapped in tracked spans so they
+// can be swapped and toggled back like any other processed element.
+
+const TEXT_SCAN_DELAY = 200; // Debounce between scans
+
+// Containers whose text may hold plain logins. Only read-only prose: search
+// fields render the query the user types, which must stay as typed.
+const TEXT_SCAN_CONTAINERS = [
+  '.TimelineItem-body',          // "requested changes", "X and Y reviewed"
+  '.timeline-comment-header',    // Comment headers
+  '.discussion-sidebar-item',    // Reviewers and assignees rendered as spans
+  '.Layout-sidebar',
+  '.js-issue-row .opened-by',    // Issue and PR lists
+  '.ActionListItem-description', // Actions run "triggered by" lines
+  '.WorkflowRunSummary',
+].join(', ');
+
+// Never touch code, diffs or anything editable. Links and controls are left
+// to the extractors, which reject some on purpose (buttons, branch names).
+const TEXT_SCAN_EXCLUDED = [
+  'pre', 'code', 'textarea', 'input', 'script', 'style', 'svg',
+  'a', 'button', '[role="button"]',
+  '[contenteditable]', '.blob-code', '.diff-table', '.js-file-content',
+  '[data-github-realnames-username]',
+].join(', ');
+
+let textScanEnabled = false;
+let textScanTimer = null;
+// Text nodes already scanned, with the known-logins pattern used at the time
+const scannedTextNodes = new WeakMap();
+let knownLoginsPattern = null;
+
+// Logins that can be recognised: resolved with a real name, or overridden
+function getKnownLogins() {
+  const logins = new Map();
+  
+  for (const [username, record] of nameCache) {
+    if (record.name !== username) logins.set(username.toLowerCase(), username);
+  }
+  for (const login of Object.keys(nameOverrides)) {
+    if (!logins.has(login)) logins.set(login, login);
+  }
+  
+  return logins;
+}
+
+// A login must stand on its own: not part of a longer word, path or email
+function buildLoginsPattern(logins) {
+  const alternatives = Array.from(logins.keys())
+    .sort((a, b) => b.length - a.length)
+    .map(login => login.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  
+  return new RegExp(`(?<![\\w./-])(${alternatives.join('|')})(?![\\w/-]|\\.\\w)`, 'gi');
+}
+
+function scheduleTextScan() {
+  if (!textScanEnabled || !isEnabled) return;
+  
+  clearTimeout(textScanTimer);
+  textScanTimer = setTimeout(scanTextNodes, TEXT_SCAN_DELAY);
+}
+
+function scanTextNodes() {
+  const logins = getKnownLogins();
+  if (logins.size === 0 || !document.body) return;
+  
+  // Keep the same RegExp while the known logins do not change, so text
+  // nodes already scanned with it are skipped
+  const pattern = buildLoginsPattern(logins);
+  if (pattern.source !== knownLoginsPattern?.source) {
+    knownLoginsPattern = pattern;
+  }
+  
+  document.querySelectorAll(TEXT_SCAN_CONTAINERS).forEach(container => {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        if (scannedTextNodes.get(node) === knownLoginsPattern) return NodeFilter.FILTER_REJECT;
+        if (node.parentElement?.closest(TEXT_SCAN_EXCLUDED)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      },
+    });
+    
+    const textNodes = [];
+    let node;
+    while (node = walker.nextNode()) {
+      textNodes.push(node);
+    }
+    
+    textNodes.forEach(textNode => wrapLoginsInTextNode(textNode, logins));
+  });
+}
+
+// Split a text node around each known login and wrap the login in a span
+function wrapLoginsInTextNode(textNode, logins) {
+  scannedTextNodes.set(textNode, knownLoginsPattern);
+  
+  const text = textNode.textContent;
+  const matches = Array.from(text.matchAll(knownLoginsPattern));
+  if (matches.length === 0) return;
+  
+  const fragment = document.createDocumentFragment();
+  const appendText = (value) => {
+    const node = document.createTextNode(value);
+    scannedTextNodes.set(node, knownLoginsPattern);
+    fragment.append(node);
+  };
+  let lastIndex = 0;
+  
+  for (const match of matches) {
+    const username = logins.get(match[1].toLowerCase());
+    
+    appendText(text.slice(lastIndex, match.index));
+    
+    const span = document.createElement('span');
+    span.className = 'github-realnames-text';
+    span.textContent = match[1];
+    span.setAttribute('data-github-realnames-username', username);
+    processedElements.add(span);
+    fragment.append(span);
+    
+    lastIndex = match.index + match[1].length;
+  }
+  
+  appendText(text.slice(lastIndex));
+  
+  const spans = fragment.querySelectorAll('span');
+  textNode.replaceWith(fragment);
+  
+  spans.forEach(span => {
+    const username = span.getAttribute('data-github-realnames-username');
+    updateElementDisplay(span, username, getElementDisplayName(span, username));
+  });
+}
+
+// Put the original logins back as plain text
+function unwrapTextLogins() {
+  document.querySelectorAll('.github-realnames-text').forEach(span => {
+    span.replaceWith(span.getAttribute('data-github-realnames-username'));
+  });
+}
+
+async function initTextScan() {
+  const { textScanning = false } = await chrome.storage.local.get('textScanning');
+  textScanEnabled = textScanning;
+  scheduleTextScan();
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.textScanning) {
+    textScanEnabled = !!changes.textScanning.newValue;
+    if (textScanEnabled) {
+      scheduleTextScan();
+    } else {
+      unwrapTextLogins();
+    }
+  }
+});
+
+initTextScan();